@@ -1,12 +1,29 @@
 const express = require('express');
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const app = express();
 
 // ============================================
 // CONFIGURAÇÕES DO SISTEMA
 // ============================================
+// Erros de configuração são juntados aqui e impedem a inicialização (startServer)
+const configErrors = [];
+
+function parseJsonEnv(name, fallback) {
+    if (!process.env[name]) return fallback;
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        configErrors.push(`${name} não é um JSON válido: ${error.message}`);
+        return fallback;
+    }
+}
+
 const N8N_WEBHOOK_URL = process.env.N8N_WEBHOOK_URL || 'https://n8n.flowzap.fun/webhook/whats-direct';
 const EVOLUTION_API_URL = process.env.EVOLUTION_API_URL || 'https://evo.flowzap.fun';
+const EVOLUTION_API_KEY = process.env.EVOLUTION_API_KEY || ''; // Chave global (opcional)
 const PORT = process.env.PORT || 3000;
 
 // Timeouts e intervalos
@@ -14,11 +31,94 @@ const CHECKPOINT_TIMEOUT = 24 * 60 * 60 * 1000; // 24 horas para responder
 const DATA_RETENTION_TIME = 72 * 60 * 60 * 1000; // 72 horas retenção total
 const CLEANUP_INTERVAL = 30 * 60 * 1000; // Limpeza a cada 30 minutos
 const INSTANCE_ROTATION_RESET = 1000; // Reset contador a cada 1000 leads
+const MAX_MESSAGES_PER_CONVERSATION = 1000; // Tamanho máximo do histórico de mensagens
+const ANALYTICS_RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS, 10) || 400; // Agregados diários do funil
+
+// Monitoramento de conexão das instâncias (0 desativa o polling)
+const INSTANCE_HEALTH_INTERVAL = (parseInt(process.env.INSTANCE_HEALTH_INTERVAL_SECONDS, 10) || 60) * 1000;
+const INSTANCE_HEALTH_TIMELINE_SIZE = 200; // Mudanças de estado guardadas por instância
+
+// Respostas sem checkpoint pendente, por status da conversa
+// (JSON, ex: {"active":"forward","timeout":"reengage"})
+const LATE_REPLY_POLICY = parseJsonEnv('LATE_REPLY_POLICY', { active: 'forward', timeout: 'reengage' });
+
+// Horário comercial (JSON por dia: {"mon":["08:00","18:00"],...}), feriados
+// (AAAA-MM-DD separados por vírgula) e horário de silêncio para envios automáticos
+const TIMEZONE = 'America/Sao_Paulo';
+const BUSINESS_HOURS = parseJsonEnv('BUSINESS_HOURS', {
+    mon: ['08:00', '18:00'],
+    tue: ['08:00', '18:00'],
+    wed: ['08:00', '18:00'],
+    thu: ['08:00', '18:00'],
+    fri: ['08:00', '18:00'],
+    sat: ['08:00', '12:00']
+});
+const HOLIDAYS = (process.env.HOLIDAYS || '').split(',').map(day => day.trim()).filter(Boolean);
+const QUIET_HOURS = process.env.QUIET_HOURS || ''; // Ex: 22:00-08:00; vazio (padrão) desativa
+const BUSINESS_TIME_TIMEOUTS = process.env.BUSINESS_TIME_TIMEOUTS === 'true'; // Padrão dos checkpoints
+
+// Opt-out: mensagens que são exatamente uma destas palavras tiram o lead da base
+const OPT_OUT_KEYWORDS = (process.env.OPT_OUT_KEYWORDS || 'sair,parar,stop,cancelar,descadastrar')
+    .split(',').map(keyword => keyword.trim()).filter(Boolean);
+
+// Roteamento: round_robin, weighted_round_robin, least_active ou health_weighted
+const ROUTING_STRATEGY = process.env.ROUTING_STRATEGY || 'round_robin';
+
+// Entrega de eventos para o N8N
+const N8N_MAX_ATTEMPTS = parseInt(process.env.N8N_MAX_ATTEMPTS, 10) || 12; // ~1h40 de tentativas; depois vai para dead-letter
+const N8N_RETRY_BASE_DELAY = 5 * 1000; // 5s, 10s, 20s, 40s...
+const N8N_RETRY_MAX_DELAY = 30 * 60 * 1000; // Teto de 30 minutos entre tentativas
+const N8N_DEAD_LETTER_MAX = parseInt(process.env.N8N_DEAD_LETTER_MAX, 10) || 1000; // Mais antigos saem primeiro
+const N8N_DEAD_LETTER_TTL = (parseInt(process.env.N8N_DEAD_LETTER_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+const N8N_BULK_RETRY_SPACING = 200; // Intervalo entre eventos no reenvio em lote (ms)
+
+// Deduplicação de webhooks da Evolution
+const WEBHOOK_DEDUP_TTL = (parseInt(process.env.WEBHOOK_DEDUP_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Autenticação (listas de chaves separadas por vírgula)
+const API_KEYS_ADMIN = process.env.API_KEYS_ADMIN || '';
+const API_KEYS_N8N = process.env.API_KEYS_N8N || '';
+const API_KEYS_READONLY = process.env.API_KEYS_READONLY || '';
+const DASHBOARD_USER = process.env.DASHBOARD_USER || 'admin';
+const DASHBOARD_PASSWORD = process.env.DASHBOARD_PASSWORD || '';
+const DASHBOARD_SESSION_TTL = 12 * 60 * 60 * 1000; // Sessão do dashboard: 12 horas
+const LOGIN_MAX_ATTEMPTS = 5; // Logins inválidos por IP antes do bloqueio
+const LOGIN_BLOCK_TIME = 15 * 60 * 1000; // Janela e bloqueio de 15 minutos
+const EVOLUTION_WEBHOOK_SECRET = process.env.EVOLUTION_WEBHOOK_SECRET || '';
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ''; // Bearer exigido em /metrics
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === 'true'; // Sem token, /metrics só abre com opt-in explícito
+// Atrás de proxy reverso: true, nº de proxies ou lista de IPs (sem isso req.ip é o do proxy)
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+
+// Persistência
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'file';
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(__dirname, 'data', 'cerebro-store.json');
+const STORAGE_WRITE_DELAY = 200; // Agrupa escritas em disco (ms)
+
+// Fluxos declarativos
+const FLOWS_FILE = process.env.FLOWS_FILE || path.join(__dirname, 'flows.json'); // Só semeia fluxos novos
+const DEFAULT_FLOW_ID = process.env.DEFAULT_FLOW_ID || null; // Fluxo para leads automáticos
+
+// Telefones: DDI assumido para números sem código do país
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '55';
+// Mensagens de grupos: ignore ou forward (evento group_message no N8N)
+const GROUP_MESSAGE_POLICY = process.env.GROUP_MESSAGE_POLICY || 'ignore';
+
+// Links rastreados (/r/:campanha): mensagem pré-preenchida no wa.me ({token} = código do clique)
+const REDIRECT_MESSAGE = process.env.REDIRECT_MESSAGE || 'Olá! Quero mais informações. Código: {token}';
+const REDIRECT_CLICK_TTL = (parseInt(process.env.REDIRECT_CLICK_TTL_HOURS, 10) || 24) * 60 * 60 * 1000; // Validade do código
+// Campanhas aceitas em /r/ (vírgula); vazio aceita qualquer uma, mas nas métricas ela vira 'other'
+const REDIRECT_CAMPAIGNS = (process.env.REDIRECT_CAMPAIGNS || '')
+    .split(',').map(campaign => campaign.trim()).filter(Boolean);
+const REDIRECT_RATE_LIMIT = parseInt(process.env.REDIRECT_RATE_LIMIT, 10) || 20; // Cliques por IP por minuto
+const REDIRECT_MAX_PENDING_CLICKS = parseInt(process.env.REDIRECT_MAX_PENDING_CLICKS, 10) || 10000; // Cliques ainda sem conversa
 
 // ============================================
 // INSTÂNCIAS WHATSAPP DISPONÍVEIS
 // ============================================
-const INSTANCES = [
+// Usadas só na primeira inicialização; depois as instâncias vêm do store
+// e são gerenciadas por /api/instances
+const DEFAULT_INSTANCES = [
     { name: 'G08', id: 'A63C380B277D-4A5E-9ECD-48710291E5A6', active: true },
 ];
 
@@ -26,27 +126,69 @@ const INSTANCES = [
 // ARMAZENAMENTO EM MEMÓRIA
 // ============================================
 let conversationState = new Map();      // Estado de cada conversa
+let conversationMessages = new Map();   // Histórico de mensagens por telefone
 let checkpointTimeouts = new Map();     // Timeouts ativos
+let followUpTimers = new Map();         // telefone_checkpoint -> timers dos lembretes
+let deferredStepTimers = new Map();     // Passos de fluxo adiados pelo horário de silêncio
+let instances = new Map();              // Instâncias cadastradas (nome -> config)
 let instanceStats = new Map();          // Estatísticas por instância
+let instanceHealth = new Map();         // Linha do tempo de conexão por instância
 let systemLogs = [];                    // Logs do sistema
 let checkpointHistory = [];             // Histórico de checkpoints
+let flows = new Map();                  // Versão atual de cada fluxo
+let flowVersions = new Map();           // Todas as versões (id@versao)
+let eventQueue = new Map();             // Eventos N8N aguardando nova tentativa
+let failedEvents = new Map();           // Dead-letter de eventos N8N
+let eventRetryTimers = new Map();       // Timers de retentativa
+let processedMessages = new Map();      // instancia:id da mensagem -> expiração
+let dashboardSessions = new Map();      // token -> { user, expires_at }
+let loginAttempts = new Map();          // IP -> { count, first_at, blocked_until }
+let suppressionList = new Map();        // Telefones com opt-out (nunca recebem mensagens)
+let redirectClicks = new Map();         // token -> clique em link rastreado (/r/:campanha)
+let pendingClickTokens = new Set();     // Cliques ainda sem conversa, do mais antigo ao mais novo
+let redirectRateLimits = new Map();     // IP -> { count, window_start } dos cliques em /r/
+let metricsRegistry = new Map();        // Métricas Prometheus (nome -> série por labels)
+let analyticsRollups = new Map();       // dia|origem|instância|fluxo|checkpoint -> contadores
+let streamClients = new Set();          // Conexões SSE abertas em /api/stream
+let streamBuffer = [];                  // Últimos eventos do stream (replay por Last-Event-ID)
+let streamEventId = 0;
 let dailyStats = {                      // Estatísticas diárias
     leads_today: 0,
     checkpoints_passed: 0,
     timeouts: 0,
+    reengaged: 0,
+    opt_outs: 0,
+    converted: 0,
+    lost: 0,
     active_now: 0,
     last_reset: new Date()
 };
 
 // Contadores
+let routingStrategy = ROUTING_STRATEGY;
+let lateReplyPolicies = { ...LATE_REPLY_POLICY };
+let scheduleConfig = {
+    business_hours: BUSINESS_HOURS,
+    holidays: HOLIDAYS,
+    quiet_hours: QUIET_HOURS,
+    business_time_timeouts: BUSINESS_TIME_TIMEOUTS
+};
 let instanceRotationCounter = 0;
 let totalLeadsProcessed = 0;
+let duplicateWebhooks = 0;
+let totalReengaged = 0;
 
 // ============================================
 // CONFIGURAÇÃO DO EXPRESS
 // ============================================
-app.use(express.json());
+app.use(express.json({
+    // Corpo original é necessário para validar a assinatura HMAC do webhook
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
+if (TRUST_PROXY) {
+    app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
 
 // ============================================
 // FUNÇÕES UTILITÁRIAS
@@ -81,278 +223,3998 @@ function addLog(type, message, data = null) {
     }
     
     console.log(`[${logEntry.brazilTime}] ${type.toUpperCase()}: ${message}`);
+    // O stream leva só o resumo: data pode ser uma conversa inteira
+    publishEvent('log', 'log', { id: logEntry.id, type: type, message: message, timestamp: logEntry.timestamp });
     return logEntry;
 }
 
 // ============================================
-// GERENCIAMENTO DE INSTÂNCIAS
+// STREAM DE EVENTOS EM TEMPO REAL (SSE)
 // ============================================
-function initializeInstanceStats() {
-    INSTANCES.forEach(instance => {
-        instanceStats.set(instance.name, {
-            total_leads: 0,
-            active_conversations: 0,
-            checkpoints_passed: 0,
-            timeouts: 0,
-            last_activity: new Date(),
-            health_score: 100,
-            response_rate: 100,
-            blocked: false
-        });
-    });
-    addLog('system', 'Estatísticas de instâncias inicializadas');
-}
+// GET /api/stream?topics=conversation,checkpoint mantém a conexão aberta e
+// recebe cada evento como "event: <tópico>" com { type, data, at }.
+// Tópicos: conversation, checkpoint, instance, stats, log.
+const STREAM_TOPICS = ['conversation', 'checkpoint', 'instance', 'stats', 'log'];
+const STREAM_BUFFER_SIZE = 500;
+const STREAM_HEARTBEAT_INTERVAL = 25 * 1000; // Mantém proxies sem fechar a conexão
+const STREAM_MAX_CLIENTS = parseInt(process.env.STREAM_MAX_CLIENTS, 10) || 50; // Conexões SSE simultâneas
 
-function getNextInstance() {
-    // Filtra apenas instâncias ativas e não bloqueadas
-    const availableInstances = INSTANCES.filter(i => {
-        const stats = instanceStats.get(i.name);
-        return i.active && (!stats || !stats.blocked);
-    });
-    
-    if (availableInstances.length === 0) {
-        addLog('warning', 'Nenhuma instância disponível! Usando fallback');
-        return INSTANCES[0];
-    }
+function publishEvent(topic, type, data) {
+    const event = { id: ++streamEventId, topic: topic, type: type, data: data, at: new Date().toISOString() };
     
-    // Round-robin entre instâncias disponíveis
-    const instance = availableInstances[instanceRotationCounter % availableInstances.length];
-    instanceRotationCounter++;
-    
-    // Reset contador periodicamente para evitar overflow
-    if (instanceRotationCounter > INSTANCE_ROTATION_RESET) {
-        instanceRotationCounter = 0;
-    }
-    
-    // Atualiza estatísticas
-    const stats = instanceStats.get(instance.name);
-    if (stats) {
-        stats.total_leads++;
-        stats.active_conversations++;
-        stats.last_activity = new Date();
-        instanceStats.set(instance.name, stats);
+    streamBuffer.push(event);
+    if (streamBuffer.length > STREAM_BUFFER_SIZE) {
+        streamBuffer.shift();
     }
     
-    return instance;
+    streamClients.forEach(client => {
+        if (!client.topics || client.topics.has(topic)) {
+            writeStreamEvent(client.res, event);
+        }
+    });
 }
 
-function updateInstanceStats(instanceName, event, data = {}) {
-    const stats = instanceStats.get(instanceName);
-    if (!stats) return;
-    
-    switch(event) {
-        case 'checkpoint_passed':
-            stats.checkpoints_passed++;
-            stats.response_rate = Math.min(100, stats.response_rate + 0.5);
-            stats.health_score = Math.min(100, stats.health_score + 1);
-            break;
-        case 'timeout':
-            stats.timeouts++;
-            stats.response_rate = Math.max(0, stats.response_rate - 2);
-            stats.health_score = Math.max(0, stats.health_score - 3);
-            break;
-        case 'conversation_ended':
-            stats.active_conversations = Math.max(0, stats.active_conversations - 1);
-            break;
-        case 'blocked':
-            stats.blocked = true;
-            stats.health_score = 0;
-            addLog('error', `Instância ${instanceName} marcada como bloqueada`);
-            break;
-    }
-    
-    stats.last_activity = new Date();
-    instanceStats.set(instanceName, stats);
+function writeStreamEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.topic}\ndata: ${JSON.stringify({ type: event.type, data: event.data, at: event.at })}\n\n`);
 }
 
-// ============================================
-// FUNÇÕES PRINCIPAIS DE CHECKPOINT
-// ============================================
-function createConversation(phone, name = 'Cliente', source = 'ads') {
-    const instance = getNextInstance();
-    
-    const conversation = {
-        phone: phone,
+function sendStreamHeartbeat() {
+    streamClients.forEach(client => client.res.write(': ping\n\n'));
+}
+
+// Mesmos resumos usados em /api/status, para o dashboard aplicar como diferença
+function conversationSummary(conversation) {
+    return {
+        phone: conversation.phone,
+        name: conversation.name,
+        instance: conversation.instance,
+        status: conversation.status,
+        source: conversation.source,
+        campaign: getCampaign(conversation),
+        current_checkpoint: conversation.current_checkpoint,
+        checkpoints_passed: conversation.checkpoints.length,
+        waiting_response: conversation.waiting_response,
+        flow: conversation.flow ? conversation.flow.id : null,
+        created_at: conversation.created_at,
+        last_activity: conversation.last_activity
+    };
+}
+
+function instanceSummary(name) {
+    return {
         name: name,
-        instance: instance.name,
-        instance_id: instance.id,
-        source: source,
-        current_checkpoint: null,
-        checkpoints: [],
-        waiting_response: false,
-        created_at: new Date(),
-        last_activity: new Date(),
-        status: 'active'
+        ...instanceStats.get(name),
+        active: instances.get(name)?.active || false
     };
-    
-    conversationState.set(phone, conversation);
-    
-    totalLeadsProcessed++;
-    dailyStats.leads_today++;
-    dailyStats.active_now = conversationState.size;
-    
-    addLog('conversation', `Nova conversa: ${phone} → ${instance.name}`, conversation);
-    
-    return conversation;
 }
 
-function activateCheckpoint(phone, checkpointName, options = {}) {
-    const conversation = conversationState.get(phone);
-    
-    if (!conversation) {
-        addLog('error', `Tentativa de ativar checkpoint para conversa inexistente: ${phone}`);
-        return { success: false, error: 'Conversa não encontrada' };
+function statsSummary() {
+    return {
+        ...dailyStats,
+        total_leads_processed: totalLeadsProcessed,
+        active_conversations: conversationState.size,
+        active_checkpoints: checkpointTimeouts.size,
+        n8n_pending_events: eventQueue.size,
+        n8n_failed_events: failedEvents.size,
+        duplicate_webhooks: duplicateWebhooks,
+        total_reengaged: totalReengaged,
+        suppressed_phones: suppressionList.size
+    };
+}
+
+// ============================================
+// MÉTRICAS (PROMETHEUS)
+// ============================================
+// Contadores e histogramas valem desde o início do processo (o Prometheus
+// trata os resets); gauges são lidos do estado na hora do scrape em /metrics.
+const METRIC_DEFINITIONS = {
+    cerebro_leads_created_total: { type: 'counter', help: 'Leads criados' },
+    cerebro_checkpoints_activated_total: { type: 'counter', help: 'Checkpoints ativados' },
+    cerebro_checkpoints_passed_total: { type: 'counter', help: 'Checkpoints passados' },
+    cerebro_checkpoints_timed_out_total: { type: 'counter', help: 'Checkpoints expirados sem resposta' },
+    cerebro_n8n_notifications_sent_total: { type: 'counter', help: 'Eventos entregues ao N8N' },
+    cerebro_n8n_notifications_failed_total: { type: 'counter', help: 'Tentativas de entrega ao N8N que falharam' },
+    cerebro_webhook_messages_received_total: { type: 'counter', help: 'Mensagens recebidas no webhook da Evolution' },
+    cerebro_webhook_messages_ignored_total: { type: 'counter', help: 'Mensagens do webhook ignoradas, por motivo' },
+    cerebro_conversation_transitions_total: { type: 'counter', help: 'Mudanças de status das conversas (de/para)' },
+    cerebro_redirect_clicks_total: { type: 'counter', help: 'Cliques em links rastreados' },
+    cerebro_redirect_clicks_matched_total: { type: 'counter', help: 'Cliques em links rastreados que viraram conversa' },
+    cerebro_checkpoint_response_time_seconds: {
+        type: 'histogram',
+        help: 'Tempo entre ativação do checkpoint e a resposta válida',
+        buckets: [10, 30, 60, 300, 900, 1800, 3600, 7200, 14400, 43200, 86400]
+    },
+    cerebro_n8n_request_duration_seconds: {
+        type: 'histogram',
+        help: 'Duração das chamadas ao webhook do N8N',
+        buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
     }
-    
-    // Cancela checkpoint anterior se existir
-    const timeoutKey = `${phone}_${conversation.current_checkpoint}`;
-    if (checkpointTimeouts.has(timeoutKey)) {
-        clearTimeout(checkpointTimeouts.get(timeoutKey));
-        checkpointTimeouts.delete(timeoutKey);
+};
+
+function getMetricSeries(name, labels) {
+    if (!metricsRegistry.has(name)) {
+        metricsRegistry.set(name, new Map());
     }
     
-    // Configura novo checkpoint
-    conversation.current_checkpoint = checkpointName;
-    conversation.waiting_response = true;
-    conversation.checkpoint_activated_at = new Date();
-    conversation.last_activity = new Date();
-    
-    // Cria timeout para este checkpoint
-    const timeoutMinutes = options.timeout_minutes || 1440; // 24h padrão
-    const timeoutId = setTimeout(() => {
-        handleCheckpointTimeout(phone, checkpointName);
-    }, timeoutMinutes * 60 * 1000);
-    
-    checkpointTimeouts.set(`${phone}_${checkpointName}`, timeoutId);
-    conversationState.set(phone, conversation);
-    
-    addLog('checkpoint', `Checkpoint '${checkpointName}' ativado para ${phone}`, {
-        phone: phone,
-        checkpoint: checkpointName,
-        timeout: timeoutMinutes
+    const series = metricsRegistry.get(name);
+    const key = JSON.stringify(labels);
+    if (!series.has(key)) {
+        const definition = METRIC_DEFINITIONS[name];
+        series.set(key, definition.type === 'histogram'
+            ? { labels, buckets: definition.buckets.map(() => 0), sum: 0, count: 0 }
+            : { labels, value: 0 });
+    }
+    return series.get(key);
+}
+
+function incrementMetric(name, labels = {}, value = 1) {
+    getMetricSeries(name, labels).value += value;
+}
+
+// Rótulos vindos de fora (webhook, API) criariam uma série por valor:
+// instância só com nome cadastrado e no máximo MAX_CHECKPOINT_LABELS checkpoints
+const MAX_CHECKPOINT_LABELS = 100;
+const checkpointLabels = new Set();
+
+function instanceLabel(name) {
+    return instances.has(name) ? name : 'unknown';
+}
+
+function checkpointLabel(name) {
+    if (!checkpointLabels.has(name)) {
+        if (checkpointLabels.size >= MAX_CHECKPOINT_LABELS) return 'other';
+        checkpointLabels.add(name);
+    }
+    return name;
+}
+
+function observeMetric(name, labels, value) {
+    const series = getMetricSeries(name, labels);
+    METRIC_DEFINITIONS[name].buckets.forEach((limit, i) => {
+        if (value <= limit) series.buckets[i]++;
     });
-    
-    return { 
-        success: true, 
-        checkpoint: checkpointName,
-        instance: conversation.instance,
-        instance_id: conversation.instance_id
-    };
+    series.sum += value;
+    series.count++;
 }
 
-function handleCheckpointTimeout(phone, checkpointName) {
-    const conversation = conversationState.get(phone);
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return '{' + entries
+        .map(([key, value]) => `${key}="${String(value === null || value === undefined ? '' : value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+        .join(',') + '}';
+}
+
+function renderMetrics() {
+    const lines = [];
     
-    if (!conversation || conversation.current_checkpoint !== checkpointName) {
-        return;
-    }
+    Object.entries(METRIC_DEFINITIONS).forEach(([name, definition]) => {
+        lines.push(`# HELP ${name} ${definition.help}`);
+        lines.push(`# TYPE ${name} ${definition.type}`);
+        
+        (metricsRegistry.get(name) || new Map()).forEach(series => {
+            if (definition.type !== 'histogram') {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                return;
+            }
+            definition.buckets.forEach((limit, i) => {
+                lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: limit })} ${series.buckets[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+    });
     
-    conversation.waiting_response = false;
-    conversation.status = 'timeout';
-    conversationState.set(phone, conversation);
+    const gauges = [
+        ['cerebro_active_conversations', 'Conversas em memória', [[{}, conversationState.size]]],
+        ['cerebro_waiting_conversations', 'Conversas aguardando resposta de checkpoint',
+            [[{}, Array.from(conversationState.values()).filter(c => c.waiting_response).length]]],
+        ['cerebro_pending_checkpoint_timers', 'Timers de checkpoint agendados', [[{}, checkpointTimeouts.size]]],
+        ['cerebro_n8n_pending_events', 'Eventos N8N aguardando nova tentativa', [[{}, eventQueue.size]]],
+        ['cerebro_n8n_failed_events', 'Eventos N8N na dead-letter', [[{}, failedEvents.size]]],
+        ['cerebro_instance_health_score', 'Saúde da instância (0-100)',
+            Array.from(instanceStats.entries()).map(([name, stats]) => [{ instance: name }, stats.health_score])],
+        ['cerebro_instance_up', 'Instância ativa e conectada (1) ou fora da rotação (0)',
+            Array.from(instanceStats.entries()).map(([name, stats]) => [
+                { instance: name },
+                instances.get(name)?.active && !stats.blocked && !stats.connection_down ? 1 : 0
+            ])]
+    ];
     
-    updateInstanceStats(conversation.instance, 'timeout');
-    dailyStats.timeouts++;
+    gauges.forEach(([name, help, values]) => {
+        lines.push(`# HELP ${name} ${help}`);
+        lines.push(`# TYPE ${name} gauge`);
+        values.forEach(([labels, value]) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+    });
     
-    addLog('timeout', `Timeout checkpoint '${checkpointName}' para ${phone}`);
+    return lines.join('\n') + '\n';
+}
+
+// ============================================
+// CAMADA DE PERSISTÊNCIA
+// ============================================
+// Todo store precisa implementar:
+//   load()                       -> Promise<{ [colecao]: { [chave]: valor } }>
+//   set(colecao, chave, valor)   -> grava ou atualiza um registro
+//   delete(colecao, chave)       -> remove um registro
+//   append(colecao, chave, item, max) -> acrescenta um item à lista da chave,
+//                                   guardando pelo menos os últimos max
+//   flush()                      -> Promise resolvida quando tudo foi gravado
+// Os Maps em memória continuam sendo usados para leitura; o store recebe
+// as escritas (write-through) e devolve o snapshot na inicialização.
+function createMemoryStore() {
+    const data = {};
     
-    // Notifica N8N sobre timeout
-    notifyN8N({
-        event: 'checkpoint_timeout',
-        phone: phone,
-        checkpoint: checkpointName,
-        instance: conversation.instance
-    });
+    return {
+        name: 'memory',
+        async load() {
+            return data;
+        },
+        set(collection, key, value) {
+            if (!data[collection]) data[collection] = {};
+            data[collection][key] = value;
+        },
+        delete(collection, key) {
+            if (data[collection]) delete data[collection][key];
+        },
+        append(collection, key, item, max) {
+            if (!data[collection]) data[collection] = {};
+            const items = (data[collection][key] || []).concat(item);
+            data[collection][key] = max ? items.slice(-max) : items;
+        },
+        async flush() {}
+    };
 }
 
-function processCheckpointResponse(phone, message) {
-    const conversation = conversationState.get(phone);
+// logCollections (ex: messages) não entram no JSON principal: cada chave vira
+// um arquivo .jsonl só de acréscimos em <pasta do store>/<colecao>/, então gravar
+// uma mensagem não reescreve o estado inteiro. O arquivo é compactado quando
+// passa do dobro do máximo pedido em append().
+function createFileStore(filePath, logCollections = []) {
+    let data = {};
+    let writeTimer = null;
+    let writing = Promise.resolve();
+    let logWriting = Promise.resolve();
+    const logSizes = new Map(); // colecao/chave -> linhas no arquivo
     
-    if (!conversation) {
-        return { success: false, error: 'Conversa não encontrada' };
-    }
+    const logDir = (collection) => path.join(path.dirname(filePath), collection);
+    const logFile = (collection, key) => path.join(logDir(collection), `${encodeURIComponent(key)}.jsonl`);
     
-    if (!conversation.waiting_response) {
-        addLog('info', `Resposta ignorada - ${phone} não aguardava resposta`);
-        return { success: false, error: 'Não aguardava resposta' };
+    function queueLogWrite(task) {
+        logWriting = logWriting
+            .then(task)
+            .catch(error => addLog('error', `Falha ao gravar histórico em ${path.dirname(filePath)}: ${error.message}`));
     }
     
-    const checkpointName = conversation.current_checkpoint;
-    
-    // Cancela timeout
-    const timeoutKey = `${phone}_${checkpointName}`;
-    if (checkpointTimeouts.has(timeoutKey)) {
-        clearTimeout(checkpointTimeouts.get(timeoutKey));
-        checkpointTimeouts.delete(timeoutKey);
+    async function readLog(file) {
+        const lines = (await fs.promises.readFile(file, 'utf8')).split('\n').filter(Boolean);
+        const items = [];
+        lines.forEach(line => {
+            try {
+                items.push(JSON.parse(line));
+            } catch (error) {
+                // Linha cortada por uma parada no meio da gravação
+            }
+        });
+        return items;
     }
     
-    // Registra checkpoint passado
-    const checkpointData = {
-        name: checkpointName,
-        response: message,
-        passed_at: new Date(),
-        response_time: new Date() - conversation.checkpoint_activated_at
-    };
+    async function writeLog(collection, key, items) {
+        const file = logFile(collection, key);
+        await fs.promises.mkdir(logDir(collection), { recursive: true });
+        await fs.promises.writeFile(file + '.tmp', items.map(item => JSON.stringify(item) + '\n').join(''));
+        await fs.promises.rename(file + '.tmp', file);
+        logSizes.set(`${collection}/${key}`, items.length);
+    }
     
-    conversation.checkpoints.push(checkpointData);
-    conversation.waiting_response = false;
-    conversation.last_activity = new Date();
-    conversationState.set(phone, conversation);
+    async function appendLog(collection, key, item, max) {
+        const file = logFile(collection, key);
+        await fs.promises.mkdir(logDir(collection), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(item) + '\n');
+        
+        const size = (logSizes.get(`${collection}/${key}`) || 0) + 1;
+        logSizes.set(`${collection}/${key}`, size);
+        if (max && size > max * 2) {
+            await writeLog(collection, key, (await readLog(file)).slice(-max));
+        }
+    }
     
-    // Atualiza estatísticas
-    updateInstanceStats(conversation.instance, 'checkpoint_passed');
-    dailyStats.checkpoints_passed++;
+    async function loadLogs(collection) {
+        const logs = {};
+        let files = [];
+        try {
+            files = await fs.promises.readdir(logDir(collection));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        
+        for (const file of files.filter(name => name.endsWith('.jsonl'))) {
+            const key = decodeURIComponent(file.slice(0, -'.jsonl'.length));
+            logs[key] = await readLog(path.join(logDir(collection), file));
+            logSizes.set(`${collection}/${key}`, logs[key].length);
+        }
+        return logs;
+    }
     
-    // Adiciona ao histórico
-    checkpointHistory.unshift({
-        id: Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-        phone: phone,
-        name: conversation.name,
-        checkpoint: checkpointName,
-        response: message,
-        instance: conversation.instance,
-        timestamp: new Date(),
-        brazil_time: getBrazilTime()
-    });
+    async function writeToDisk() {
+        const tmpPath = filePath + '.tmp';
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+        await fs.promises.rename(tmpPath, filePath);
+    }
     
-    // Mantém apenas últimos 500 registros
-    if (checkpointHistory.length > 500) {
-        checkpointHistory = checkpointHistory.slice(0, 500);
+    function queueWrite() {
+        writing = writing
+            .then(writeToDisk)
+            .catch(error => addLog('error', `Falha ao gravar ${filePath}: ${error.message}`));
     }
     
-    addLog('checkpoint', `✅ ${phone} passou checkpoint '${checkpointName}'`, checkpointData);
+    function scheduleWrite() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(() => {
+            writeTimer = null;
+            queueWrite();
+        }, STORAGE_WRITE_DELAY);
+    }
     
     return {
-        success: true,
-        checkpoint: checkpointName,
-        response: message,
-        instance: conversation.instance
-    };
-}
+        name: 'file',
+        async load() {
+            try {
+                data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                data = {};
+            }
+            
+            const snapshot = { ...data };
+            for (const collection of logCollections) {
+                const logs = await loadLogs(collection);
+                
+                // Stores antigos guardavam estas coleções no JSON principal
+                const legacy = data[collection] || {};
+                for (const [key, items] of Object.entries(legacy)) {
+                    if (!logs[key]) {
+                        logs[key] = items;
+                        await writeLog(collection, key, items);
+                    }
+                }
+                if (data[collection]) {
+                    delete data[collection];
+                    scheduleWrite();
+                }
+                
+                snapshot[collection] = logs;
+            }
+            return snapshot;
+        },
+        set(collection, key, value) {
+            if (logCollections.includes(collection)) {
+                queueLogWrite(() => writeLog(collection, key, value));
+                return;
+            }
+            if (!data[collection]) data[collection] = {};
+            data[collection][key] = value;
+            scheduleWrite();
+        },
+        delete(collection, key) {
+            if (logCollections.includes(collection)) {
+                logSizes.delete(`${collection}/${key}`);
+                queueLogWrite(() => fs.promises.rm(logFile(collection, key), { force: true }));
+                return;
+            }
+            if (!data[collection]) return;
+            delete data[collection][key];
+            scheduleWrite();
+        },
+        append(collection, key, item, max) {
+            queueLogWrite(() => appendLog(collection, key, item, max));
+        },
+        async flush() {
+            if (writeTimer) {
+                clearTimeout(writeTimer);
+                writeTimer = null;
+                queueWrite();
+            }
+            await Promise.all([writing, logWriting]);
+        }
+    };
+}
+
+const STORE_DRIVERS = {
+    memory: () => createMemoryStore(),
+    file: () => createFileStore(STORAGE_FILE, ['messages'])
+};
+
+function createStore(driver) {
+    const factory = STORE_DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`Driver de armazenamento desconhecido: ${driver}`);
+    }
+    return factory();
+}
+
+const store = createStore(STORAGE_DRIVER);
+
+// Escritas não bloqueiam o fluxo: falhas do store são apenas registradas
+function persist(collection, key, value) {
+    Promise.resolve()
+        .then(() => store.set(collection, key, value))
+        .catch(error => addLog('error', `Falha ao persistir ${collection}/${key}: ${error.message}`));
+}
+
+function persistAppend(collection, key, item, max) {
+    Promise.resolve()
+        .then(() => store.append(collection, key, item, max))
+        .catch(error => addLog('error', `Falha ao persistir ${collection}/${key}: ${error.message}`));
+}
+
+function unpersist(collection, key) {
+    Promise.resolve()
+        .then(() => store.delete(collection, key))
+        .catch(error => addLog('error', `Falha ao remover ${collection}/${key}: ${error.message}`));
+}
+
+function persistConversation(conversation) {
+    persist('conversations', conversation.phone, conversation);
+    publishEvent('conversation', 'conversation_updated', conversationSummary(conversation));
+}
+
+function persistCounters() {
+    persist('meta', 'counters', { totalLeadsProcessed, instanceRotationCounter, duplicateWebhooks, totalReengaged });
+    persist('meta', 'dailyStats', dailyStats);
+    publishEvent('stats', 'stats', statsSummary());
+}
+
+function reviveDate(value) {
+    return value ? new Date(value) : value;
+}
+
+function reviveConversation(conv) {
+    conv.created_at = reviveDate(conv.created_at);
+    conv.last_activity = reviveDate(conv.last_activity);
+    conv.checkpoint_activated_at = reviveDate(conv.checkpoint_activated_at);
+    conv.checkpoint_expires_at = reviveDate(conv.checkpoint_expires_at);
+    conv.status_changed_at = reviveDate(conv.status_changed_at);
+    // Antes do ciclo de vida, checkpoint pendente era 'active' + waiting_response
+    if (conv.status === 'active' && conv.waiting_response) {
+        conv.status = 'waiting';
+    }
+    // Gravadas antes de instance_released: só 'closed' já tinha dado baixa na instância
+    if (conv.instance_released === undefined) {
+        conv.instance_released = conv.status === 'closed';
+    }
+    conv.checkpoints = (conv.checkpoints || []).map(cp => ({
+        ...cp,
+        passed_at: reviveDate(cp.passed_at)
+    }));
+    if (conv.flow) {
+        conv.flow.started_at = reviveDate(conv.flow.started_at);
+        conv.flow.completed_at = reviveDate(conv.flow.completed_at);
+        if (conv.flow.deferred_step) {
+            conv.flow.deferred_step.until = reviveDate(conv.flow.deferred_step.until);
+        }
+    }
+    return conv;
+}
+
+async function loadPersistedState() {
+    const snapshot = await store.load();
+    
+    Object.values(snapshot.conversations || {}).forEach(conv => {
+        conversationState.set(conv.phone, reviveConversation(conv));
+    });
+    
+    Object.entries(snapshot.messages || {}).forEach(([phone, messages]) => {
+        conversationMessages.set(phone, messages.slice(-MAX_MESSAGES_PER_CONVERSATION));
+    });
+    
+    // Envios gravados antes do histórico completo viram mensagens de saída
+    conversationState.forEach(conv => {
+        if (!conv.sent_messages) return;
+        conv.sent_messages.forEach(sent => recordMessage(conv.phone, {
+            id: sent.id,
+            direction: 'outbound',
+            type: sent.type,
+            text: sent.payload?.text || sent.payload?.caption || '',
+            instance: sent.instance,
+            timestamp: new Date(sent.sent_at).toISOString()
+        }));
+        delete conv.sent_messages;
+        persistConversation(conv);
+    });
+    
+    if (snapshot.instances) {
+        Object.values(snapshot.instances).forEach(instance => instances.set(instance.name, instance));
+    } else {
+        DEFAULT_INSTANCES.forEach(instance => saveInstance(buildInstance(instance)));
+    }
+    
+    Object.entries(snapshot.instanceHealth || {}).forEach(([name, timeline]) => {
+        instanceHealth.set(name, timeline);
+    });
+    
+    Object.entries(snapshot.instanceStats || {}).forEach(([name, stats]) => {
+        instanceStats.set(name, { ...stats, last_activity: reviveDate(stats.last_activity) });
+    });
+    
+    checkpointHistory = Object.values(snapshot.checkpointHistory || {})
+        .map(h => ({ ...h, timestamp: reviveDate(h.timestamp) }))
+        .sort((a, b) => b.timestamp - a.timestamp);
+    
+    Object.values(snapshot.flowVersions || {}).forEach(flow => {
+        flowVersions.set(`${flow.id}@${flow.version}`, flow);
+    });
+    Object.values(snapshot.flows || {}).forEach(flow => {
+        flows.set(flow.id, flow);
+    });
+    
+    // Dedup sobrevive ao restart: a Evolution reenvia webhooks pendentes ao reconectar
+    const now = Date.now();
+    Object.entries(snapshot.processedMessages || {}).forEach(([key, expiresAt]) => {
+        if (expiresAt > now) {
+            processedMessages.set(key, expiresAt);
+        } else {
+            unpersist('processedMessages', key);
+        }
+    });
+    
+    Object.values(snapshot.eventQueue || {}).forEach(entry => {
+        eventQueue.set(entry.event_id, entry);
+    });
+    Object.values(snapshot.failedEvents || {})
+        .sort((a, b) => new Date(a.failed_at) - new Date(b.failed_at))
+        .forEach(entry => {
+            failedEvents.set(entry.event_id, entry);
+        });
+    Object.values(snapshot.suppression || {}).forEach(entry => {
+        suppressionList.set(entry.phone, entry);
+    });
+    Object.values(snapshot.analytics || {}).forEach(rollup => {
+        // Agregados gravados antes de um contador existir começam nele em zero
+        ANALYTICS_COUNTERS.forEach(counter => {
+            rollup[counter] = rollup[counter] || 0;
+        });
+        analyticsRollups.set(rollup.key, rollup);
+    });
+    Object.values(snapshot.clicks || {})
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .forEach(click => {
+            redirectClicks.set(click.token, click);
+            if (!click.phone) pendingClickTokens.add(click.token);
+        });
+    
+    const meta = snapshot.meta || {};
+    if (meta.dailyStats) {
+        dailyStats = { ...meta.dailyStats, last_reset: reviveDate(meta.dailyStats.last_reset) };
+    }
+    if (meta.lateReplyPolicies) {
+        lateReplyPolicies = meta.lateReplyPolicies;
+    }
+    if (meta.schedule) {
+        scheduleConfig = meta.schedule;
+    }
+    if (meta.routing && ROUTING_STRATEGIES[meta.routing.strategy]) {
+        routingStrategy = meta.routing.strategy;
+    }
+    if (meta.counters) {
+        totalLeadsProcessed = meta.counters.totalLeadsProcessed || 0;
+        instanceRotationCounter = meta.counters.instanceRotationCounter || 0;
+        duplicateWebhooks = meta.counters.duplicateWebhooks || 0;
+        totalReengaged = meta.counters.totalReengaged || 0;
+    }
+    
+    migrateConversationKeys();
+    dailyStats.active_now = conversationState.size;
+    
+    addLog('system', `Estado carregado do store '${store.name}': ${conversationState.size} conversas`);
+}
+
+// ============================================
+// GERENCIAMENTO DE INSTÂNCIAS
+// ============================================
+const INSTANCE_REMOVAL_POLICIES = ['reassign', 'drain', 'close'];
+
+function listInstances() {
+    return Array.from(instances.values());
+}
+
+function buildInstance(data, current = {}) {
+    return {
+        name: current.name || data.name,
+        id: data.id !== undefined ? data.id : current.id,
+        api_key: data.api_key !== undefined ? data.api_key : current.api_key || null,
+        number: data.number !== undefined ? data.number && (normalizePhone(data.number) || String(data.number)) : current.number || null,
+        weight: data.weight !== undefined ? Number(data.weight) : current.weight || 1,
+        daily_cap: data.daily_cap !== undefined ? data.daily_cap && Number(data.daily_cap) : current.daily_cap || null,
+        tags: data.tags !== undefined ? data.tags : current.tags || [],
+        warmup: data.warmup !== undefined ? data.warmup : current.warmup || null,
+        active: data.active !== undefined ? Boolean(data.active) : current.active !== false,
+        draining: current.draining || false,
+        created_at: current.created_at || new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    };
+}
+
+function validateInstance(instance) {
+    const errors = [];
+    if (!instance.name || !/^[\w.-]+$/.test(instance.name)) {
+        errors.push('name é obrigatório (letras, números, ".", "-" e "_")');
+    }
+    if (!instance.id) {
+        errors.push('id (Evolution) é obrigatório');
+    }
+    if (instance.number && !/^\d{8,15}$/.test(instance.number)) {
+        errors.push('number deve ser um telefone válido (usado nos links wa.me)');
+    }
+    if (!(instance.weight > 0)) {
+        errors.push('weight deve ser positivo');
+    }
+    if (instance.daily_cap !== null && !(Number.isInteger(instance.daily_cap) && instance.daily_cap > 0)) {
+        errors.push('daily_cap deve ser inteiro positivo ou null');
+    }
+    if (!Array.isArray(instance.tags) || instance.tags.some(t => typeof t !== 'string')) {
+        errors.push('tags deve ser uma lista de textos');
+    }
+    if (instance.warmup && !(instance.warmup.start_cap > 0 && instance.warmup.daily_increase >= 0)) {
+        errors.push('warmup precisa de start_cap positivo e daily_increase >= 0');
+    }
+    return errors;
+}
+
+function saveInstance(instance) {
+    instances.set(instance.name, instance);
+    persist('instances', instance.name, instance);
+    ensureInstanceStats(instance.name);
+}
+
+// Nunca expõe a chave da Evolution nas respostas da API
+function publicInstance(instance) {
+    const { api_key, ...rest } = instance;
+    return { ...rest, has_api_key: Boolean(api_key) };
+}
+
+function ensureInstanceStats(name) {
+    // Mantém estatísticas restauradas do store
+    if (instanceStats.has(name)) return;
+    
+    instanceStats.set(name, {
+        total_leads: 0,
+        active_conversations: 0,
+        checkpoints_passed: 0,
+        timeouts: 0,
+        last_activity: new Date(),
+        health_score: 100,
+        response_rate: 100,
+        blocked: false
+    });
+    persist('instanceStats', name, instanceStats.get(name));
+}
+
+function initializeInstanceStats() {
+    listInstances().forEach(instance => ensureInstanceStats(instance.name));
+    addLog('system', 'Estatísticas de instâncias inicializadas');
+}
+
+function getInstanceConversations(name) {
+    return Array.from(conversationState.values())
+        .filter(conv => conv.instance === name && !ENDED_STATUSES.includes(conv.status));
+}
+
+// Estratégias de roteamento: recebem as instâncias elegíveis e devolvem { instance, reason }
+const ROUTING_STRATEGIES = {
+    round_robin: (available) => {
+        const instance = available[instanceRotationCounter % available.length];
+        return { instance, reason: `rodízio ${instanceRotationCounter % available.length + 1}/${available.length}` };
+    },
+    weighted_round_robin: (available) => {
+        const total = available.reduce((sum, i) => sum + i.weight, 0);
+        let position = instanceRotationCounter % total;
+        const instance = available.find(i => (position -= i.weight) < 0);
+        return { instance, reason: `peso ${instance.weight} de ${total}` };
+    },
+    least_active: (available) => {
+        const instance = available.reduce((best, i) => {
+            const active = instanceStats.get(i.name)?.active_conversations || 0;
+            const bestActive = instanceStats.get(best.name)?.active_conversations || 0;
+            return active < bestActive ? i : best;
+        });
+        return { instance, reason: `${instanceStats.get(instance.name)?.active_conversations || 0} conversas ativas (menor)` };
+    },
+    health_weighted: (available) => {
+        // Sorteio ponderado por saúde x taxa de resposta
+        const scores = available.map(i => {
+            const stats = instanceStats.get(i.name) || { health_score: 100, response_rate: 100 };
+            return Math.max(1, stats.health_score * stats.response_rate / 100);
+        });
+        const total = scores.reduce((sum, score) => sum + score, 0);
+        let draw = Math.random() * total;
+        const index = Math.max(0, scores.findIndex(score => (draw -= score) < 0));
+        return { instance: available[index], reason: `saúde ponderada ${Math.round(scores[index])} de ${Math.round(total)}` };
+    }
+};
+
+// Leads por instância no dia (horário de Brasília)
+function getLeadsToday(stats) {
+    return stats && stats.leads_today_date === getBrazilDate() ? stats.leads_today : 0;
+}
+
+// Teto diário considerando o aquecimento de números novos
+function getEffectiveDailyCap(instance) {
+    let cap = instance.daily_cap || Infinity;
+    
+    if (instance.warmup) {
+        const days = Math.floor((Date.now() - new Date(instance.created_at).getTime()) / (24 * 60 * 60 * 1000));
+        cap = Math.min(cap, instance.warmup.start_cap + instance.warmup.daily_increase * days);
+    }
+    
+    return cap;
+}
+
+// Instâncias ativas, não bloqueadas e abaixo do teto diário
+// Ativa, fora de drenagem, desbloqueada e conectada (sem olhar o teto diário)
+function isHealthyInstance(instance) {
+    const stats = instanceStats.get(instance.name);
+    return instance.active && !instance.draining && (!stats || (!stats.blocked && !stats.connection_down));
+}
+
+function getAvailableInstances(excludeName = null) {
+    return listInstances().filter(i =>
+        i.name !== excludeName && isHealthyInstance(i) &&
+        getLeadsToday(instanceStats.get(i.name)) < getEffectiveDailyCap(i)
+    );
+}
+
+// Sem instância para receber o lead: quem chama decide (503 na API, 200 no webhook)
+function createNoInstanceError(message) {
+    const error = new Error(message);
+    error.code = 'no_instance';
+    return error;
+}
+
+// Escolhe a instância pela estratégia de roteamento, sem contar o lead
+// (filter restringe as candidatas, ex: só instâncias com número para o wa.me)
+function pickInstance(excludeName = null, filter = () => true) {
+    const availableInstances = getAvailableInstances(excludeName).filter(filter);
+    
+    let decision;
+    if (availableInstances.length > 0) {
+        decision = ROUTING_STRATEGIES[routingStrategy](availableInstances);
+    } else {
+        // Todas as saudáveis atingiram o teto diário: passa do teto em vez de perder o lead.
+        // Bloqueadas, desconectadas, inativas ou em drenagem nunca recebem.
+        const capped = listInstances().filter(i => i.name !== excludeName && isHealthyInstance(i) && filter(i));
+        if (capped.length === 0) {
+            throw createNoInstanceError(listInstances().length === 0
+                ? 'Nenhuma instância cadastrada'
+                : 'Nenhuma instância ativa, conectada e desbloqueada');
+        }
+        const capDecision = ROUTING_STRATEGIES[routingStrategy](capped);
+        addLog('warning', 'Todas as instâncias saudáveis atingiram o teto diário - excedendo o teto');
+        decision = { instance: capDecision.instance, reason: `teto diário atingido em todas: ${capDecision.reason}` };
+    }
+    
+    const instance = decision.instance;
+    instanceRotationCounter++;
+    
+    // Reset contador periodicamente para evitar overflow
+    if (instanceRotationCounter > INSTANCE_ROTATION_RESET) {
+        instanceRotationCounter = 0;
+    }
+    
+    const routing = { strategy: routingStrategy, reason: decision.reason };
+    addLog('routing', `${instance.name} escolhida por ${routing.strategy}: ${routing.reason}`);
+    
+    return { instance, routing };
+}
+
+// Conta um novo lead na instância escolhida
+function assignInstance(instance) {
+    const stats = instanceStats.get(instance.name);
+    if (stats) {
+        const today = getBrazilDate();
+        stats.leads_today = getLeadsToday(stats) + 1;
+        stats.leads_today_date = today;
+        stats.total_leads++;
+        stats.active_conversations++;
+        stats.last_activity = new Date();
+        instanceStats.set(instance.name, stats);
+        persist('instanceStats', instance.name, stats);
+    }
+}
+
+function getNextInstance(excludeName = null) {
+    const decision = pickInstance(excludeName);
+    assignInstance(decision.instance);
+    return decision;
+}
+
+// Move uma conversa para outra instância mantendo checkpoint e timers.
+// Não conta como lead novo no destino (nem no teto diário); null sem destino saudável.
+function reassignConversation(phone, fromName, reason) {
+    const conversation = conversationState.get(phone);
+    if (!conversation) return null;
+    
+    let target;
+    try {
+        target = pickInstance(fromName).instance;
+    } catch (error) {
+        if (error.code === 'no_instance') return null;
+        throw error;
+    }
+    
+    conversation.instance = target.name;
+    conversation.instance_id = target.id;
+    conversation.last_activity = new Date();
+    if (!conversation.instance_history) conversation.instance_history = [];
+    conversation.instance_history.push({ from: fromName, to: target.name, reason: reason, at: new Date() });
+    persistConversation(conversation);
+    
+    if (!conversation.instance_released) {
+        updateInstanceStats(fromName, 'conversation_ended');
+        updateInstanceStats(target.name, 'conversation_reassigned');
+    }
+    
+    addLog('instance', `Conversa ${phone} movida de ${fromName} para ${target.name} (${reason})`);
+    
+    notifyN8N({
+        event: 'instance_reassigned',
+        phone: phone,
+        previous_instance: fromName,
+        instance: target.name,
+        instance_id: target.id,
+        checkpoint: conversation.current_checkpoint,
+        waiting_response: conversation.waiting_response,
+        reason: reason
+    });
+    
+    return target;
+}
+
+// Move enquanto houver destino saudável; as que sobram ficam na instância de origem
+function reassignConversations(conversations, fromName, reason) {
+    const result = { reassigned: [], stranded: [] };
+    
+    conversations.forEach(conv => {
+        const target = result.stranded.length === 0 ? reassignConversation(conv.phone, fromName, reason) : null;
+        (target ? result.reassigned : result.stranded).push(conv.phone);
+    });
+    
+    if (result.stranded.length > 0) {
+        addLog('warning', `${result.stranded.length} conversas de ${fromName} ficaram sem instância saudável para receber (${reason})`);
+    }
+    return result;
+}
+
+function closeConversation(phone, reason) {
+    const conversation = conversationState.get(phone);
+    if (!conversation) return;
+    
+    const transition = transitionConversation(conversation, 'closed', { reason: reason });
+    if (!transition.changed) return;
+    
+    conversation.last_activity = new Date();
+    persistConversation(conversation);
+    
+    notifyN8N({
+        event: 'conversation_closed',
+        phone: phone,
+        instance: conversation.instance,
+        reason: reason
+    });
+}
+
+function removeInstance(name) {
+    instances.delete(name);
+    instanceStats.delete(name);
+    instanceHealth.delete(name);
+    unpersist('instances', name);
+    unpersist('instanceStats', name);
+    unpersist('instanceHealth', name);
+    publishEvent('instance', 'instance_removed', { name: name });
+    addLog('instance', `Instância ${name} removida`);
+}
+
+// Remove a instância aplicando a política escolhida às conversas em andamento
+function deleteInstance(name, policy) {
+    const conversations = getInstanceConversations(name);
+    
+    if (policy === 'drain' && conversations.length > 0) {
+        const instance = instances.get(name);
+        instance.draining = true;
+        instance.updated_at = new Date().toISOString();
+        saveInstance(instance);
+        addLog('instance', `Instância ${name} drenando ${conversations.length} conversas antes da remoção`);
+        return { removed: false, draining: conversations.length };
+    }
+    
+    if (policy === 'reassign') {
+        const result = reassignConversations(conversations, name, 'instance_removed');
+        
+        // Conversas sem destino terminam na própria instância, que fica em drenagem
+        if (result.stranded.length > 0) {
+            const instance = instances.get(name);
+            instance.draining = true;
+            instance.updated_at = new Date().toISOString();
+            saveInstance(instance);
+            return { removed: false, affected: conversations.length, draining: result.stranded.length, ...result };
+        }
+        
+        removeInstance(name);
+        return { removed: true, affected: conversations.length, ...result };
+    }
+    
+    if (policy === 'close') {
+        conversations.forEach(conv => closeConversation(conv.phone, 'instance_removed'));
+    }
+    
+    removeInstance(name);
+    return { removed: true, affected: conversations.length };
+}
+
+// Remove instâncias em drenagem que não têm mais conversas
+function finishDrainingInstances() {
+    listInstances()
+        .filter(i => i.draining && getInstanceConversations(i.name).length === 0)
+        .forEach(i => removeInstance(i.name));
+}
+
+function updateInstanceStats(instanceName, event, data = {}) {
+    const stats = instanceStats.get(instanceName);
+    if (!stats) return;
+    
+    switch(event) {
+        case 'checkpoint_passed':
+            stats.checkpoints_passed++;
+            stats.response_rate = Math.min(100, stats.response_rate + 0.5);
+            stats.health_score = Math.min(100, stats.health_score + 1);
+            break;
+        case 'timeout':
+            stats.timeouts++;
+            stats.response_rate = Math.max(0, stats.response_rate - 2);
+            stats.health_score = Math.max(0, stats.health_score - 3);
+            break;
+        case 'conversation_ended':
+            stats.active_conversations = Math.max(0, stats.active_conversations - 1);
+            break;
+        case 'conversation_reopened':
+        case 'conversation_reassigned':
+            stats.active_conversations++;
+            break;
+        case 'blocked':
+            stats.blocked = true;
+            stats.health_score = 0;
+            addLog('error', `Instância ${instanceName} marcada como bloqueada`);
+            break;
+        case 'unblocked':
+            // Volta com saúde parcial para não receber todo o tráfego de uma vez
+            stats.blocked = false;
+            stats.health_score = 50;
+            break;
+    }
+    
+    stats.last_activity = new Date();
+    instanceStats.set(instanceName, stats);
+    persist('instanceStats', instanceName, stats);
+    publishEvent('instance', 'instance_stats', instanceSummary(instanceName));
+}
+
+// ============================================
+// VALIDAÇÃO DE RESPOSTAS
+// ============================================
+// Um checkpoint pode declarar quais respostas aceita:
+//   accept: [{ type: 'keywords', values: ['quero', 'comprar'] },
+//            { type: 'regex', pattern: '^\\d{5}-?\\d{3}$' },
+//            { type: 'options', values: ['1', '2', '3'] },
+//            { type: 'yes_no' }, { type: 'email' }, { type: 'cpf' },
+//            { type: 'media', values: ['audio', 'image'] }]
+//   max_retries: 3                  // re-prompts antes de desistir
+//   reprompt: 'Responda 1, 2 ou 3'  // texto ou payload de sendMessage
+// Sem regras, qualquer texto não vazio passa (comportamento original).
+const YES_WORDS = ['sim', 's', 'claro', 'quero', 'ok', 'pode', 'isso', 'positivo', 'aceito', 'bora', 'certo', 'beleza', 'uhum', 'afirmativo'];
+// Sem "no" e "nem": são comuns em respostas positivas ("sim, pago no pix")
+const NO_WORDS = ['nao', 'n', 'negativo', 'nunca', 'jamais'];
+// Inglês só vale como resposta inteira: "no" no meio da frase é preposição
+const EXACT_YES_WORDS = ['yes'];
+const EXACT_NO_WORDS = ['no'];
+const DEFAULT_MAX_RETRIES = 3;
+
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function containsWord(normalized, word) {
+    return ` ${normalized} `.includes(` ${normalizeText(word)} `);
+}
+
+function isValidCPF(value) {
+    const cpf = String(value).replace(/\D/g, '');
+    if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) return false;
+    
+    const digit = (length) => {
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            sum += Number(cpf[i]) * (length + 1 - i);
+        }
+        const rest = (sum * 10) % 11;
+        return rest === 10 ? 0 : rest;
+    };
+    
+    return digit(9) === Number(cpf[9]) && digit(10) === Number(cpf[10]);
+}
+
+// Cada matcher devolve o valor reconhecido ou null
+const REPLY_MATCHERS = {
+    any: (text, rule, message) => text.trim() || (message.type !== 'text' ? message.type : null),
+    media: (text, rule, message) => (rule.values || MEDIA_MESSAGE_TYPES).includes(message.type) ? message.type : null,
+    keywords: (text, rule) => {
+        const normalized = normalizeText(text);
+        return (rule.values || []).find(word => containsWord(normalized, word)) || null;
+    },
+    regex: (text, rule) => {
+        const match = text.trim().match(new RegExp(rule.pattern, rule.flags || 'i'));
+        if (!match) return null;
+        return match[1] !== undefined ? match[1] : match[0];
+    },
+    options: (text, rule) => {
+        const normalized = normalizeText(text);
+        const option = (rule.values || []).find(value => {
+            const normalizedOption = normalizeText(value);
+            return normalized === normalizedOption || normalized.startsWith(normalizedOption + ' ');
+        });
+        return option !== undefined ? String(option) : null;
+    },
+    yes_no: (text) => {
+        const normalized = normalizeText(text);
+        if (EXACT_NO_WORDS.includes(normalized)) return 'no';
+        if (EXACT_YES_WORDS.includes(normalized)) return 'yes';
+        // "não quero" contém "quero": negativas são verificadas primeiro
+        if (NO_WORDS.some(word => containsWord(normalized, word))) return 'no';
+        if (YES_WORDS.some(word => containsWord(normalized, word))) return 'yes';
+        return null;
+    },
+    email: (text) => {
+        const match = text.match(/[^\s@]+@[^\s@]+\.[^\s@]+/);
+        return match ? match[0].toLowerCase() : null;
+    },
+    cpf: (text) => {
+        const match = text.match(/\d{3}\.?\d{3}\.?\d{3}-?\d{2}/);
+        if (!match || !isValidCPF(match[0])) return null;
+        return match[0].replace(/\D/g, '');
+    }
+};
+
+function normalizeReplyRules(options = {}) {
+    if (!options.accept) return null;
+    
+    const reprompt = typeof options.reprompt === 'string'
+        ? { type: 'text', text: options.reprompt }
+        : options.reprompt || null;
+    
+    return {
+        accept: Array.isArray(options.accept) ? options.accept : [options.accept],
+        max_retries: options.max_retries !== undefined ? Number(options.max_retries) : DEFAULT_MAX_RETRIES,
+        reprompt: reprompt
+    };
+}
+
+function validateReplyRules(accept) {
+    const errors = [];
+    if (!accept) return errors;
+    
+    (Array.isArray(accept) ? accept : [accept]).forEach((rule, index) => {
+        if (!rule || !REPLY_MATCHERS[rule.type]) {
+            errors.push(`accept[${index}].type inválido`);
+            return;
+        }
+        if (['keywords', 'options'].includes(rule.type) && (!Array.isArray(rule.values) || rule.values.length === 0)) {
+            errors.push(`accept[${index}].values é obrigatório para ${rule.type}`);
+        }
+        if (rule.type === 'regex') {
+            try {
+                new RegExp(rule.pattern, rule.flags || 'i');
+            } catch (error) {
+                errors.push(`accept[${index}].pattern inválido: ${error.message}`);
+            }
+        }
+    });
+    
+    return errors;
+}
+
+function matchCheckpointReply(rules, message) {
+    const text = getMessageText(message);
+    
+    if (!rules) {
+        return { valid: true, rule: 'any', matched: message.selected_id || text || message.type };
+    }
+    
+    // Respostas de botão/lista são conferidas pelo id e depois pelo texto exibido
+    const candidates = message.selected_id ? [message.selected_id, text] : [text];
+    
+    for (const rule of rules.accept) {
+        for (const candidate of candidates) {
+            const matched = REPLY_MATCHERS[rule.type](candidate || '', rule, message);
+            if (matched !== null) {
+                return { valid: true, rule: rule.type, matched: matched };
+            }
+        }
+    }
+    
+    return { valid: false };
+}
+
+// ============================================
+// HORÁRIO COMERCIAL E HORÁRIO DE SILÊNCIO
+// ============================================
+// Todos os cálculos usam o relógio de America/Sao_Paulo, o mesmo de getBrazilTime.
+// - Timeouts com business_time contam só minutos dentro do horário comercial,
+//   pulando feriados e dias sem expediente.
+// - Lembretes e passos de fluxo que cairiam no horário de silêncio são adiados
+//   para o fim dele.
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+
+const zonedFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+});
+
+// Data local (AAAA-MM-DD), dia da semana e minutos desde a meia-noite local
+function getZonedParts(date) {
+    const parts = {};
+    zonedFormatter.formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday.toLowerCase(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute) + (Number(parts.second) + date.getMilliseconds() / 1000) / 60
+    };
+}
+
+function parseClock(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function parseQuietHours(value) {
+    if (!value) return null;
+    const [start, end] = String(value).split('-').map(parseClock);
+    if (start === null || end === null || start === undefined || end === undefined || start === end) return null;
+    return { start, end };
+}
+
+// Mesmo dia local, outro horário (minutos desde a meia-noite; 1440 = próxima meia-noite)
+function shiftToMinute(date, parts, minute) {
+    return new Date(date.getTime() + (minute - parts.minutes) * 60 * 1000);
+}
+
+function getBusinessWindow(parts) {
+    if ((scheduleConfig.holidays || []).includes(parts.date)) return null;
+    
+    const hours = (scheduleConfig.business_hours || {})[parts.weekday];
+    if (!hours) return null;
+    
+    return { open: parseClock(hours[0]), close: parseClock(hours[1]) };
+}
+
+function isBusinessTime(date = new Date()) {
+    const parts = getZonedParts(date);
+    const window = getBusinessWindow(parts);
+    return !!window && parts.minutes >= window.open && parts.minutes < window.close;
+}
+
+function addBusinessMinutes(start, minutes) {
+    if (Object.keys(scheduleConfig.business_hours || {}).length === 0) {
+        return new Date(start.getTime() + minutes * 60 * 1000);
+    }
+    
+    let current = new Date(start);
+    let remaining = minutes;
+    
+    // Limite de voltas: ~1 ano de calendário
+    for (let guard = 0; remaining > 0 && guard < 800; guard++) {
+        const parts = getZonedParts(current);
+        const window = getBusinessWindow(parts);
+        
+        if (!window || parts.minutes >= window.close) {
+            current = shiftToMinute(current, parts, MINUTES_PER_DAY);
+            continue;
+        }
+        
+        const from = Math.max(parts.minutes, window.open);
+        const used = Math.min(window.close - from, remaining);
+        current = shiftToMinute(current, parts, from + used);
+        remaining -= used;
+    }
+    
+    return current;
+}
+
+// Fim do horário de silêncio, ou null se o envio pode ser feito agora
+function getQuietHoursEnd(date = new Date()) {
+    const quiet = parseQuietHours(scheduleConfig.quiet_hours);
+    if (!quiet) return null;
+    
+    const parts = getZonedParts(date);
+    const crossesMidnight = quiet.start > quiet.end;
+    const inside = crossesMidnight
+        ? parts.minutes >= quiet.start || parts.minutes < quiet.end
+        : parts.minutes >= quiet.start && parts.minutes < quiet.end;
+    
+    if (!inside) return null;
+    
+    const endMinute = crossesMidnight && parts.minutes >= quiet.start ? quiet.end + MINUTES_PER_DAY : quiet.end;
+    return shiftToMinute(date, parts, endMinute);
+}
+
+function getCheckpointExpiry(activatedAt, timeoutMinutes, businessTime) {
+    return businessTime
+        ? addBusinessMinutes(activatedAt, timeoutMinutes)
+        : new Date(activatedAt.getTime() + timeoutMinutes * 60 * 1000);
+}
+
+function validateScheduleConfig(config) {
+    const errors = [];
+    
+    if (config.business_hours !== undefined) {
+        if (!config.business_hours || typeof config.business_hours !== 'object') {
+            errors.push('business_hours deve ser um objeto por dia da semana');
+        } else {
+            Object.entries(config.business_hours).forEach(([day, hours]) => {
+                if (!WEEKDAYS.includes(day)) {
+                    errors.push(`business_hours.${day}: dia inválido. Use: ${WEEKDAYS.join(', ')}`);
+                } else if (!Array.isArray(hours) || parseClock(hours[0]) === null || parseClock(hours[1]) === null || parseClock(hours[0]) >= parseClock(hours[1])) {
+                    errors.push(`business_hours.${day} deve ser ["HH:MM", "HH:MM"] com abertura antes do fechamento`);
+                }
+            });
+        }
+    }
+    
+    if (config.holidays !== undefined) {
+        if (!Array.isArray(config.holidays) || config.holidays.some(day => !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+            errors.push('holidays deve ser uma lista de datas AAAA-MM-DD');
+        }
+    }
+    
+    if (config.quiet_hours && !parseQuietHours(config.quiet_hours)) {
+        errors.push('quiet_hours deve ser "HH:MM-HH:MM" (ou vazio para desativar)');
+    }
+    
+    return errors;
+}
+
+// ============================================
+// CICLO DE VIDA DA CONVERSA
+// ============================================
+//   active         - em andamento, sem checkpoint pendente
+//   waiting        - checkpoint ativo aguardando resposta
+//   timeout        - checkpoint expirou sem resposta
+//   converted      - venda ou objetivo concluído
+//   lost           - lead perdido
+//   opted_out      - pediu para sair (lista de supressão)
+//   human_takeover - atendente assumiu: timers param e as mensagens vão ao N8N
+//   closed         - encerrada; só volta com reabertura manual
+// waiting e timeout vêm dos checkpoints e opted_out da lista de supressão;
+// os demais também podem ser definidos pelo N8N ou por um operador.
+const CONVERSATION_TRANSITIONS = {
+    active: ['waiting', 'converted', 'lost', 'opted_out', 'human_takeover', 'closed'],
+    waiting: ['active', 'timeout', 'converted', 'lost', 'opted_out', 'human_takeover', 'closed'],
+    timeout: ['active', 'waiting', 'converted', 'lost', 'opted_out', 'human_takeover', 'closed'],
+    converted: ['active', 'waiting', 'lost', 'opted_out', 'human_takeover', 'closed'],
+    lost: ['active', 'waiting', 'converted', 'opted_out', 'human_takeover', 'closed'],
+    opted_out: ['active', 'closed'],
+    human_takeover: ['active', 'waiting', 'converted', 'lost', 'opted_out', 'closed'],
+    closed: ['active', 'opted_out']
+};
+const CONVERSATION_STATUSES = Object.keys(CONVERSATION_TRANSITIONS);
+const MANUAL_STATUSES = ['active', 'converted', 'lost', 'human_takeover', 'closed'];
+const STOPPED_STATUSES = ['converted', 'lost', 'opted_out', 'human_takeover', 'closed']; // Cancelam timers
+const ENDED_STATUSES = ['converted', 'lost', 'opted_out', 'closed']; // Deixam de contar como conversa ativa da instância
+const STATUS_HISTORY_SIZE = 100; // Mudanças de status guardadas por conversa
+
+// Evento N8N de cada mudança manual
+const STATUS_EVENTS = {
+    active: 'conversation_reopened',
+    converted: 'conversation_converted',
+    lost: 'conversation_lost',
+    human_takeover: 'human_takeover',
+    closed: 'conversation_closed'
+};
+
+function canTransition(from, to) {
+    return from === to || (CONVERSATION_TRANSITIONS[from] || []).includes(to);
+}
+
+// Cada conversa conta uma única vez em active_conversations da instância:
+// instance_released marca que a baixa já foi feita (status final, migração ou limpeza)
+function releaseInstanceSlot(conversation) {
+    if (conversation.instance_released) return;
+    conversation.instance_released = true;
+    updateInstanceStats(conversation.instance, 'conversation_ended');
+}
+
+function reclaimInstanceSlot(conversation) {
+    if (!conversation.instance_released) return;
+    conversation.instance_released = false;
+    updateInstanceStats(conversation.instance, 'conversation_reopened');
+}
+
+// Valida e aplica a mudança de status, guardando o histórico. Quem chama persiste a conversa.
+// Retorna { success, changed, from } ou { success: false, error } se a transição não é permitida.
+function transitionConversation(conversation, status, details = {}) {
+    const previous = conversation.status;
+    if (previous === status) {
+        return { success: true, changed: false, from: previous };
+    }
+    if (!canTransition(previous, status)) {
+        return { success: false, error: `Transição de status inválida: ${previous} → ${status}` };
+    }
+    
+    conversation.status = status;
+    conversation.status_changed_at = new Date();
+    if (!conversation.status_history) conversation.status_history = [];
+    conversation.status_history.push({
+        from: previous,
+        to: status,
+        reason: details.reason || null,
+        by: details.by || 'system',
+        at: conversation.status_changed_at
+    });
+    if (conversation.status_history.length > STATUS_HISTORY_SIZE) {
+        conversation.status_history.shift();
+    }
+    
+    incrementMetric('cerebro_conversation_transitions_total', { from: previous, to: status });
+    if (status === 'converted' || status === 'lost') {
+        dailyStats[status] = (dailyStats[status] || 0) + 1;
+        persistCounters();
+        trackAnalytics(conversation, status);
+    }
+    // Depois da análise: encerrar os timers fecha o fluxo e a conversão sairia sem ele
+    if (STOPPED_STATUSES.includes(status)) {
+        stopConversationTimers(conversation.phone, status);
+    }
+    if (ENDED_STATUSES.includes(status)) {
+        releaseInstanceSlot(conversation);
+    } else {
+        reclaimInstanceSlot(conversation);
+    }
+    
+    return { success: true, changed: true, from: previous };
+}
+
+// Mudança pedida pelo N8N ou por um operador (POST /api/conversation/:phone/status e /close)
+function changeConversationStatus(phone, status, details = {}) {
+    const conversation = conversationState.get(phone);
+    if (!conversation) {
+        return { success: false, not_found: true, error: 'Conversa não encontrada' };
+    }
+    if (!MANUAL_STATUSES.includes(status)) {
+        return { success: false, invalid: true, error: `Status inválido. Use: ${MANUAL_STATUSES.join(', ')}` };
+    }
+    if (status === 'active' && isSuppressed(phone)) {
+        return { success: false, conflict: true, error: 'Telefone na lista de supressão: remova antes de reabrir a conversa' };
+    }
+    if (status === 'active' && conversation.status === 'waiting') {
+        return { success: false, conflict: true, error: 'Conversa aguarda resposta de checkpoint' };
+    }
+    
+    const transition = transitionConversation(conversation, status, details);
+    if (!transition.success) {
+        return { success: false, conflict: true, error: transition.error };
+    }
+    if (!transition.changed) {
+        return { success: true, changed: false, status: status };
+    }
+    
+    if (status === 'converted' && details.value !== undefined) {
+        conversation.conversion_value = details.value;
+    }
+    conversation.last_activity = new Date();
+    persistConversation(conversation);
+    
+    addLog('conversation', `${phone}: ${transition.from} → ${status}${details.reason ? ` (${details.reason})` : ''}`);
+    
+    notifyN8N({
+        event: STATUS_EVENTS[status],
+        phone: phone,
+        previous_status: transition.from,
+        status: status,
+        reason: details.reason || null,
+        by: details.by || null,
+        value: status === 'converted' ? conversation.conversion_value : undefined,
+        checkpoint: conversation.current_checkpoint,
+        flow: conversation.flow ? conversation.flow.id : null,
+        instance: conversation.instance
+    });
+    
+    return { success: true, changed: true, previous_status: transition.from, status: status };
+}
+
+// ============================================
+// FUNÇÕES PRINCIPAIS DE CHECKPOINT
+// ============================================
+// assignment: { instance, routing } já escolhidos (ex: clique em link rastreado)
+function createConversation(phone, name = 'Cliente', source = 'ads', attribution = null, assignment = null) {
+    if (isSuppressed(phone)) {
+        throw new Error(`Telefone ${phone} está na lista de supressão (opt-out)`);
+    }
+    
+    if (assignment) assignInstance(assignment.instance);
+    const { instance, routing } = assignment || getNextInstance();
+    
+    const conversation = {
+        phone: phone,
+        name: name,
+        instance: instance.name,
+        instance_id: instance.id,
+        routing: routing,
+        source: source,
+        attribution: attribution,
+        current_checkpoint: null,
+        checkpoints: [],
+        waiting_response: false,
+        created_at: new Date(),
+        last_activity: new Date(),
+        status: 'active',
+        instance_released: false
+    };
+    
+    conversationState.set(phone, conversation);
+    persistConversation(conversation);
+    
+    totalLeadsProcessed++;
+    dailyStats.leads_today++;
+    dailyStats.active_now = conversationState.size;
+    persistCounters();
+    
+    trackAnalytics(conversation, 'lead');
+    incrementMetric('cerebro_leads_created_total', { source: source, instance: instance.name });
+    addLog('conversation', `Nova conversa: ${phone} → ${instance.name}`, conversation);
+    publishEvent('conversation', 'conversation_created', conversationSummary(conversation));
+    
+    return conversation;
+}
+
+function activateCheckpoint(phone, checkpointName, options = {}) {
+    const conversation = conversationState.get(phone);
+    
+    if (!conversation) {
+        addLog('error', `Tentativa de ativar checkpoint para conversa inexistente: ${phone}`);
+        return { success: false, error: 'Conversa não encontrada' };
+    }
+    
+    if (isSuppressed(phone)) {
+        return { success: false, suppressed: true, error: 'Telefone na lista de supressão (opt-out)' };
+    }
+    
+    const transition = transitionConversation(conversation, 'waiting', { reason: `checkpoint '${checkpointName}' ativado` });
+    if (!transition.success) {
+        return { success: false, conflict: true, error: transition.error };
+    }
+    
+    // Cancela checkpoint anterior se existir
+    const timeoutKey = `${phone}_${conversation.current_checkpoint}`;
+    if (checkpointTimeouts.has(timeoutKey)) {
+        clearTimeout(checkpointTimeouts.get(timeoutKey));
+        checkpointTimeouts.delete(timeoutKey);
+    }
+    cancelFollowUps(phone, conversation.current_checkpoint);
+    if (conversation.flow && conversation.flow.deferred_step) {
+        delete conversation.flow.deferred_step;
+    }
+    
+    // Configura novo checkpoint
+    conversation.current_checkpoint = checkpointName;
+    conversation.waiting_response = true;
+    conversation.checkpoint_activated_at = new Date();
+    conversation.last_activity = new Date();
+    
+    // Cria timeout para este checkpoint
+    const timeoutMinutes = options.timeout_minutes || 1440; // 24h padrão
+    conversation.checkpoint_timeout_minutes = timeoutMinutes;
+    conversation.checkpoint_rules = normalizeReplyRules(options);
+    conversation.checkpoint_retries = 0;
+    conversation.checkpoint_follow_ups = normalizeFollowUps(options.follow_ups);
+    conversation.checkpoint_business_time = options.business_time !== undefined
+        ? Boolean(options.business_time)
+        : scheduleConfig.business_time_timeouts;
+    conversation.checkpoint_expires_at = getCheckpointExpiry(
+        conversation.checkpoint_activated_at,
+        timeoutMinutes,
+        conversation.checkpoint_business_time
+    );
+    scheduleCheckpointTimeout(phone, checkpointName, conversation.checkpoint_expires_at - Date.now());
+    scheduleFollowUps(phone, checkpointName);
+    
+    conversationState.set(phone, conversation);
+    persistConversation(conversation);
+    
+    addLog('checkpoint', `Checkpoint '${checkpointName}' ativado para ${phone}`, {
+        phone: phone,
+        checkpoint: checkpointName,
+        timeout: timeoutMinutes,
+        expires_at: conversation.checkpoint_expires_at,
+        business_time: conversation.checkpoint_business_time,
+        follow_ups: conversation.checkpoint_follow_ups.length
+    });
+    
+    trackAnalytics(conversation, 'activation', checkpointName);
+    incrementMetric('cerebro_checkpoints_activated_total', { checkpoint: checkpointLabel(checkpointName) });
+    publishEvent('checkpoint', 'checkpoint_activated', {
+        phone: phone,
+        checkpoint: checkpointName,
+        expires_at: conversation.checkpoint_expires_at,
+        instance: conversation.instance
+    });
+    
+    if (conversation.queued_messages && conversation.queued_messages.length > 0) {
+        setImmediate(() => drainQueuedMessages(phone).catch(error => {
+            addLog('error', `Erro ao processar mensagens na fila de ${phone}: ${error.message}`);
+        }));
+    }
+    
+    return { 
+        success: true, 
+        checkpoint: checkpointName,
+        expires_at: conversation.checkpoint_expires_at,
+        instance: conversation.instance,
+        instance_id: conversation.instance_id
+    };
+}
+
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // Limite do setTimeout (~24,8 dias)
+
+function scheduleCheckpointTimeout(phone, checkpointName, delayMs) {
+    // Timeouts em horário comercial podem passar do limite: reagenda em etapas
+    const timeoutId = delayMs > MAX_TIMER_DELAY
+        ? setTimeout(() => scheduleCheckpointTimeout(phone, checkpointName, delayMs - MAX_TIMER_DELAY), MAX_TIMER_DELAY)
+        : setTimeout(() => handleCheckpointTimeout(phone, checkpointName), delayMs);
+    
+    checkpointTimeouts.set(`${phone}_${checkpointName}`, timeoutId);
+}
+
+// Recria os timers de checkpoints pendentes após um restart.
+// Checkpoints que expiraram com o processo parado disparam na hora.
+function restoreCheckpointTimers() {
+    const now = Date.now();
+    let restored = 0;
+    let expired = 0;
+    
+    for (const [phone, conv] of conversationState.entries()) {
+        if (conv.flow && conv.flow.deferred_step) {
+            scheduleDeferredStep(phone, conv.flow.deferred_step.until);
+        }
+        
+        if (!conv.waiting_response || !conv.current_checkpoint || !conv.checkpoint_activated_at) {
+            continue;
+        }
+        
+        const timeoutMinutes = conv.checkpoint_timeout_minutes || CHECKPOINT_TIMEOUT / 60000;
+        const expiresAt = conv.checkpoint_expires_at
+            ? conv.checkpoint_expires_at.getTime()
+            : conv.checkpoint_activated_at.getTime() + timeoutMinutes * 60 * 1000;
+        
+        if (expiresAt <= now) {
+            handleCheckpointTimeout(phone, conv.current_checkpoint);
+            expired++;
+        } else {
+            scheduleCheckpointTimeout(phone, conv.current_checkpoint, expiresAt - now);
+            scheduleFollowUps(phone, conv.current_checkpoint);
+            restored++;
+        }
+    }
+    
+    addLog('system', `Timers restaurados: ${restored} pendentes, ${expired} expirados durante a parada`);
+}
+
+function handleCheckpointTimeout(phone, checkpointName) {
+    const conversation = conversationState.get(phone);
+    
+    if (!conversation || conversation.current_checkpoint !== checkpointName) {
+        return;
+    }
+    
+    conversation.waiting_response = false;
+    transitionConversation(conversation, 'timeout', { reason: `checkpoint '${checkpointName}' sem resposta` });
+    conversationState.set(phone, conversation);
+    persistConversation(conversation);
+    checkpointTimeouts.delete(`${phone}_${checkpointName}`);
+    cancelFollowUps(phone, checkpointName);
+    
+    updateInstanceStats(conversation.instance, 'timeout');
+    trackAnalytics(conversation, 'timeout', checkpointName);
+    incrementMetric('cerebro_checkpoints_timed_out_total', { checkpoint: checkpointLabel(checkpointName) });
+    dailyStats.timeouts++;
+    persistCounters();
+    
+    addLog('timeout', `Timeout checkpoint '${checkpointName}' para ${phone}`);
+    publishEvent('checkpoint', 'checkpoint_timeout', { phone: phone, checkpoint: checkpointName, instance: conversation.instance });
+    
+    // Notifica N8N sobre timeout
+    notifyN8N({
+        event: 'checkpoint_timeout',
+        phone: phone,
+        checkpoint: checkpointName,
+        follow_ups_sent: (conversation.checkpoint_follow_ups || []).filter(f => f.sent_at).length,
+        instance: conversation.instance
+    });
+    
+    advanceFlow(phone, 'timeout');
+}
+
+function processCheckpointResponse(phone, message) {
+    const conversation = conversationState.get(phone);
+    
+    if (!conversation) {
+        return { success: false, error: 'Conversa não encontrada' };
+    }
+    
+    // Aceita texto puro ou a mensagem normalizada do webhook
+    const inbound = typeof message === 'string' ? { type: 'text', text: message } : message;
+    const responseText = getMessageText(inbound);
+    
+    if (!conversation.waiting_response) {
+        addLog('info', `Resposta ignorada - ${phone} não aguardava resposta`);
+        return { success: false, error: 'Não aguardava resposta' };
+    }
+    
+    const checkpointName = conversation.current_checkpoint;
+    const followUp = getLastFollowUp(conversation);
+    
+    // Resposta fora do padrão esperado: não passa o checkpoint e os lembretes seguem agendados
+    const validation = matchCheckpointReply(conversation.checkpoint_rules, inbound);
+    if (!validation.valid) {
+        const rules = conversation.checkpoint_rules;
+        conversation.checkpoint_retries = (conversation.checkpoint_retries || 0) + 1;
+        conversation.last_activity = new Date();
+        
+        if (!conversation.invalid_replies) conversation.invalid_replies = [];
+        conversation.invalid_replies.push({
+            checkpoint: checkpointName,
+            response: responseText,
+            message_type: inbound.type,
+            attempt: conversation.checkpoint_retries,
+            follow_up: followUp ? followUp.index : null,
+            received_at: new Date()
+        });
+        persistConversation(conversation);
+        
+        const maxRetriesReached = conversation.checkpoint_retries > rules.max_retries;
+        trackAnalytics(conversation, 'invalid', checkpointName);
+        addLog('checkpoint', `Resposta inválida de ${phone} no checkpoint '${checkpointName}' (tentativa ${conversation.checkpoint_retries})`);
+        
+        return {
+            success: false,
+            invalid: true,
+            error: 'Resposta não aceita pelo checkpoint',
+            checkpoint: checkpointName,
+            response: responseText,
+            message_type: inbound.type,
+            retries: conversation.checkpoint_retries,
+            max_retries: rules.max_retries,
+            max_retries_reached: maxRetriesReached,
+            reprompt: maxRetriesReached ? null : rules.reprompt,
+            instance: conversation.instance
+        };
+    }
+    
+    // Cancela timeout e lembretes restantes
+    const timeoutKey = `${phone}_${checkpointName}`;
+    if (checkpointTimeouts.has(timeoutKey)) {
+        clearTimeout(checkpointTimeouts.get(timeoutKey));
+        checkpointTimeouts.delete(timeoutKey);
+    }
+    cancelFollowUps(phone, checkpointName);
+    
+    // Registra checkpoint passado
+    const checkpointData = {
+        name: checkpointName,
+        response: responseText,
+        message_type: inbound.type,
+        media: inbound.media || null,
+        matched: validation.matched,
+        rule: validation.rule,
+        retries: conversation.checkpoint_retries || 0,
+        follow_up: followUp ? followUp.index : null,
+        follow_up_name: followUp ? followUp.name : null,
+        passed_at: new Date(),
+        response_time: new Date() - conversation.checkpoint_activated_at
+    };
+    
+    trackAnalytics(conversation, 'pass', checkpointName, checkpointData.response_time);
+    incrementMetric('cerebro_checkpoints_passed_total', { checkpoint: checkpointLabel(checkpointName) });
+    observeMetric('cerebro_checkpoint_response_time_seconds', {}, checkpointData.response_time / 1000);
+    conversation.checkpoints.push(checkpointData);
+    conversation.waiting_response = false;
+    transitionConversation(conversation, 'active', { reason: `checkpoint '${checkpointName}' respondido` });
+    conversation.last_activity = new Date();
+    conversationState.set(phone, conversation);
+    persistConversation(conversation);
+    
+    // Atualiza estatísticas
+    updateInstanceStats(conversation.instance, 'checkpoint_passed');
+    dailyStats.checkpoints_passed++;
+    persistCounters();
+    
+    // Adiciona ao histórico
+    const historyEntry = {
+        id: Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        phone: phone,
+        name: conversation.name,
+        checkpoint: checkpointName,
+        response: responseText,
+        message_type: inbound.type,
+        matched: validation.matched,
+        follow_up: checkpointData.follow_up,
+        instance: conversation.instance,
+        timestamp: new Date(),
+        brazil_time: getBrazilTime()
+    };
+    checkpointHistory.unshift(historyEntry);
+    persist('checkpointHistory', historyEntry.id, historyEntry);
+    
+    // Mantém apenas últimos 500 registros
+    if (checkpointHistory.length > 500) {
+        checkpointHistory.slice(500).forEach(h => unpersist('checkpointHistory', h.id));
+        checkpointHistory = checkpointHistory.slice(0, 500);
+    }
+    
+    addLog('checkpoint', `✅ ${phone} passou checkpoint '${checkpointName}'`, checkpointData);
+    publishEvent('checkpoint', 'checkpoint_passed', historyEntry);
+    
+    return {
+        success: true,
+        checkpoint: checkpointName,
+        response: responseText,
+        message_type: inbound.type,
+        media: inbound.media || null,
+        selected_id: inbound.selected_id || null,
+        matched: validation.matched,
+        rule: validation.rule,
+        follow_up: checkpointData.follow_up,
+        follow_up_name: checkpointData.follow_up_name,
+        instance: conversation.instance,
+        flow: conversation.flow ? conversation.flow.id : null
+    };
+}
+
+// ============================================
+// LEMBRETES (FOLLOW-UPS) DE CHECKPOINT
+// ============================================
+// Escada de lembretes enquanto o checkpoint aguarda resposta, ex:
+// [{ after_minutes: 30, action: 'send', message: 'Ainda por aí?' },
+//  { after_minutes: 180, action: 'event' }]
+// 'send' envia pela Evolution; 'event' emite checkpoint_reminder para o N8N.
+const FOLLOW_UP_ACTIONS = ['send', 'event'];
+
+function normalizeFollowUps(followUps) {
+    if (!Array.isArray(followUps)) return [];
+    
+    return followUps
+        .map(followUp => ({
+            name: followUp.name || null,
+            after_minutes: Number(followUp.after_minutes),
+            action: followUp.action || (followUp.message ? 'send' : 'event'),
+            message: typeof followUp.message === 'string'
+                ? { type: 'text', text: followUp.message }
+                : followUp.message || null,
+            sent_at: null
+        }))
+        .sort((a, b) => a.after_minutes - b.after_minutes)
+        .map((followUp, index) => ({ index, ...followUp }));
+}
+
+function validateFollowUps(followUps, timeoutMinutes) {
+    const errors = [];
+    if (followUps === undefined || followUps === null) return errors;
+    
+    if (!Array.isArray(followUps)) {
+        return ['follow_ups deve ser uma lista'];
+    }
+    
+    followUps.forEach((followUp, index) => {
+        const after = Number(followUp && followUp.after_minutes);
+        if (!(after > 0)) {
+            errors.push(`follow_ups[${index}].after_minutes deve ser positivo`);
+        } else if (timeoutMinutes && after >= Number(timeoutMinutes)) {
+            errors.push(`follow_ups[${index}].after_minutes deve ser menor que o timeout do checkpoint`);
+        }
+        
+        const action = followUp.action || (followUp.message ? 'send' : 'event');
+        if (!FOLLOW_UP_ACTIONS.includes(action)) {
+            errors.push(`follow_ups[${index}].action inválida. Use: ${FOLLOW_UP_ACTIONS.join(', ')}`);
+        } else if (action === 'send' && !followUp.message) {
+            errors.push(`follow_ups[${index}].message é obrigatório para action 'send'`);
+        } else if (followUp.message && typeof followUp.message === 'object' && !EVOLUTION_SENDERS[followUp.message.type || 'text']) {
+            errors.push(`follow_ups[${index}].message tem tipo não suportado`);
+        }
+    });
+    
+    return errors;
+}
+
+// Último lembrete já disparado no checkpoint atual
+function getLastFollowUp(conversation) {
+    const sent = (conversation.checkpoint_follow_ups || []).filter(f => f.sent_at);
+    return sent.length > 0 ? sent[sent.length - 1] : null;
+}
+
+// Agenda os lembretes ainda não enviados. Após um restart, lembretes que
+// venceram com o processo parado não são enviados em sequência: só o mais
+// recente dispara, os anteriores ficam marcados como pulados.
+function scheduleFollowUps(phone, checkpointName) {
+    const conversation = conversationState.get(phone);
+    const pending = (conversation.checkpoint_follow_ups || []).filter(f => !f.sent_at && !f.skipped);
+    if (pending.length === 0) return;
+    
+    const activatedAt = new Date(conversation.checkpoint_activated_at).getTime();
+    const now = Date.now();
+    const overdue = pending.filter(f => activatedAt + f.after_minutes * 60 * 1000 <= now);
+    
+    overdue.slice(0, -1).forEach(followUp => {
+        followUp.skipped = true;
+    });
+    if (overdue.length > 1) {
+        persistConversation(conversation);
+    }
+    
+    const timers = pending.filter(f => !f.skipped).map(followUp => {
+        const delay = Math.max(activatedAt + followUp.after_minutes * 60 * 1000 - now, 0);
+        return setTimeout(() => handleFollowUp(phone, checkpointName, followUp.index), delay);
+    });
+    
+    followUpTimers.set(`${phone}_${checkpointName}`, timers);
+}
+
+function cancelFollowUps(phone, checkpointName) {
+    const key = `${phone}_${checkpointName}`;
+    if (followUpTimers.has(key)) {
+        followUpTimers.get(key).forEach(timer => clearTimeout(timer));
+        followUpTimers.delete(key);
+    }
+}
+
+async function handleFollowUp(phone, checkpointName, index) {
+    const conversation = conversationState.get(phone);
+    
+    if (!conversation || !conversation.waiting_response || conversation.current_checkpoint !== checkpointName) {
+        return;
+    }
+    
+    const followUp = conversation.checkpoint_follow_ups[index];
+    if (!followUp || followUp.sent_at) return;
+    
+    const label = followUp.name || `#${index + 1}`;
+    
+    // Horário de silêncio: adia; se o checkpoint expira antes, o lembrete é descartado
+    const quietEnd = getQuietHoursEnd();
+    if (quietEnd) {
+        if (conversation.checkpoint_expires_at && quietEnd >= new Date(conversation.checkpoint_expires_at)) {
+            followUp.skipped = true;
+            persistConversation(conversation);
+            addLog('checkpoint', `Lembrete ${label} do checkpoint '${checkpointName}' para ${phone} descartado (horário de silêncio)`);
+            return;
+        }
+        
+        followUp.deferred_until = quietEnd;
+        persistConversation(conversation);
+        
+        const key = `${phone}_${checkpointName}`;
+        const timers = followUpTimers.get(key) || [];
+        timers.push(setTimeout(() => handleFollowUp(phone, checkpointName, index), quietEnd - Date.now()));
+        followUpTimers.set(key, timers);
+        return;
+    }
+    
+    followUp.sent_at = new Date();
+    persistConversation(conversation);
+    
+    addLog('checkpoint', `Lembrete ${label} do checkpoint '${checkpointName}' para ${phone} (${followUp.action})`);
+    
+    if (followUp.action === 'send') {
+        const sent = await sendMessage(phone, followUp.message);
+        if (!sent.success) {
+            addLog('error', `Falha ao enviar lembrete ${label} do checkpoint '${checkpointName}' para ${phone}: ${sent.error}`);
+        }
+        return;
+    }
+    
+    await notifyN8N({
+        event: 'checkpoint_reminder',
+        phone: phone,
+        checkpoint: checkpointName,
+        follow_up: index,
+        follow_up_name: followUp.name,
+        after_minutes: followUp.after_minutes,
+        remaining: conversation.checkpoint_follow_ups.length - index - 1,
+        instance: conversation.instance
+    });
+}
+
+// ============================================
+// HISTÓRICO DE MENSAGENS
+// ============================================
+// Guarda todas as mensagens (entrada e saída) de cada conversa, fora do
+// objeto da conversa para não inflar /api/status nem o estado persistido.
+// Cada mensagem é só acrescentada ao histórico no store (append).
+function recordMessage(phone, message) {
+    const messages = conversationMessages.get(phone) || [];
+    
+    // A Evolution devolve pelo webhook (fromMe) o que enviamos pela API
+    if (message.id && messages.some(m => m.id === message.id && m.direction === message.direction)) {
+        return messages.find(m => m.id === message.id);
+    }
+    
+    const conversation = conversationState.get(phone);
+    const entry = {
+        seq: messages.length > 0 ? messages[messages.length - 1].seq + 1 : 1,
+        id: message.id || null,
+        direction: message.direction,
+        type: message.type || 'text',
+        text: message.text || '',
+        media: message.media || null,
+        location: message.location || null,
+        selected_id: message.selected_id || null,
+        instance: message.instance || (conversation && conversation.instance) || null,
+        checkpoint: conversation ? conversation.current_checkpoint : null,
+        source: message.source || null,
+        timestamp: message.timestamp || new Date().toISOString()
+    };
+    
+    messages.push(entry);
+    if (messages.length > MAX_MESSAGES_PER_CONVERSATION) {
+        messages.splice(0, messages.length - MAX_MESSAGES_PER_CONVERSATION);
+    }
+    
+    conversationMessages.set(phone, messages);
+    persistAppend('messages', phone, entry, MAX_MESSAGES_PER_CONVERSATION);
+    
+    return entry;
+}
+
+function recordInboundMessage(phone, inbound, direction = 'inbound') {
+    return recordMessage(phone, {
+        id: inbound.id,
+        direction: direction,
+        type: inbound.type,
+        text: getMessageText(inbound),
+        media: inbound.media,
+        location: inbound.location,
+        selected_id: inbound.selected_id,
+        source: 'whatsapp'
+    });
+}
+
+function deleteConversationMessages(phone) {
+    if (conversationMessages.delete(phone)) {
+        unpersist('messages', phone);
+    }
+}
+
+// Página de mensagens em ordem cronológica; before = seq da mais antiga já vista
+function getMessagesPage(phone, limit, before) {
+    const messages = conversationMessages.get(phone) || [];
+    const older = before ? messages.filter(m => m.seq < before) : messages;
+    const page = older.slice(-limit);
+    
+    return {
+        total: messages.length,
+        messages: page,
+        next_cursor: older.length > page.length ? page[0].seq : null
+    };
+}
+
+// ============================================
+// ANÁLISE DE FUNIL
+// ============================================
+// Agregados diários por dia (horário de Brasília), origem, campanha, instância,
+// fluxo e checkpoint. Cada evento conta no dia em que aconteceu. Sobrevivem à limpeza
+// das conversas e ao reset de dailyStats; saem após ANALYTICS_RETENTION_DAYS.
+// Tempo de resposta vai para um histograma (segundos) para mediana e p90.
+const RESPONSE_TIME_BUCKETS = [10, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 14400, 28800, 43200, 86400, 172800, Infinity];
+const ANALYTICS_COUNTERS = ['leads', 'flow_starts', 'activations', 'passes', 'timeouts', 'invalid_replies', 'conversions', 'losses'];
+const ANALYTICS_DIMENSIONS = ['day', 'source', 'campaign', 'instance', 'flow', 'checkpoint'];
+
+function getAnalyticsDay(date = new Date()) {
+    return getZonedParts(date).date;
+}
+
+function getRollup(conversation, checkpoint) {
+    const dimensions = {
+        day: getAnalyticsDay(),
+        source: conversation.source || null,
+        campaign: getCampaign(conversation),
+        instance: conversation.instance || null,
+        flow: conversation.flow && !conversation.flow.completed_at ? conversation.flow.id : null,
+        checkpoint: checkpoint || null
+    };
+    const key = ANALYTICS_DIMENSIONS.map(d => dimensions[d] === null ? '' : dimensions[d]).join('|');
+    
+    if (!analyticsRollups.has(key)) {
+        const rollup = { key, ...dimensions, position_sum: 0, response_times: RESPONSE_TIME_BUCKETS.map(() => 0) };
+        ANALYTICS_COUNTERS.forEach(counter => {
+            rollup[counter] = 0;
+        });
+        analyticsRollups.set(key, rollup);
+    }
+    
+    return analyticsRollups.get(key);
+}
+
+function trackAnalytics(conversation, event, checkpoint = null, responseTimeMs = null) {
+    const rollup = getRollup(conversation, checkpoint);
+    
+    switch (event) {
+        case 'lead':
+            rollup.leads++;
+            break;
+        case 'flow_start':
+            rollup.flow_starts++;
+            break;
+        case 'activation':
+            rollup.activations++;
+            // Posição média do checkpoint na jornada ordena o funil sem fluxo definido
+            rollup.position_sum += conversation.checkpoints.length;
+            break;
+        case 'pass': {
+            rollup.passes++;
+            const seconds = responseTimeMs / 1000;
+            const bucket = RESPONSE_TIME_BUCKETS.findIndex(limit => seconds <= limit);
+            rollup.response_times[bucket]++;
+            break;
+        }
+        case 'timeout':
+            rollup.timeouts++;
+            break;
+        case 'invalid':
+            rollup.invalid_replies++;
+            break;
+        case 'converted':
+            rollup.conversions++;
+            break;
+        case 'lost':
+            rollup.losses++;
+            break;
+    }
+    
+    persist('analytics', rollup.key, rollup);
+}
+
+// Percentil aproximado do histograma (interpolação linear dentro da faixa)
+function histogramPercentile(histogram, percentile) {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    if (total === 0) return null;
+    
+    const target = total * percentile;
+    let cumulative = 0;
+    for (let i = 0; i < histogram.length; i++) {
+        if (histogram[i] === 0) continue;
+        if (cumulative + histogram[i] >= target) {
+            const lower = i === 0 ? 0 : RESPONSE_TIME_BUCKETS[i - 1];
+            const upper = RESPONSE_TIME_BUCKETS[i];
+            if (upper === Infinity) return lower;
+            return Math.round(lower + (upper - lower) * ((target - cumulative) / histogram[i]));
+        }
+        cumulative += histogram[i];
+    }
+    return null;
+}
+
+function percentage(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 10 : null;
+}
+
+function listDays(from, to) {
+    const days = [];
+    for (let time = Date.parse(from); time <= Date.parse(to) && days.length < 1000; time += 24 * 60 * 60 * 1000) {
+        days.push(new Date(time).toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+// Filtros: from/to (AAAA-MM-DD), source, instance, flow_id, checkpoint
+function filterRollups(filters) {
+    return Array.from(analyticsRollups.values()).filter(rollup =>
+        (!filters.from || rollup.day >= filters.from) &&
+        (!filters.to || rollup.day <= filters.to) &&
+        (!filters.source || rollup.source === filters.source) &&
+        (!filters.campaign || rollup.campaign === filters.campaign) &&
+        (!filters.instance || rollup.instance === filters.instance) &&
+        (!filters.flow_id || rollup.flow === filters.flow_id) &&
+        (!filters.checkpoint || rollup.checkpoint === filters.checkpoint)
+    );
+}
+
+function sumRollups(rollups) {
+    const totals = { position_sum: 0, response_times: RESPONSE_TIME_BUCKETS.map(() => 0) };
+    ANALYTICS_COUNTERS.forEach(counter => {
+        totals[counter] = 0;
+    });
+    
+    rollups.forEach(rollup => {
+        ANALYTICS_COUNTERS.forEach(counter => {
+            totals[counter] += rollup[counter] || 0;
+        });
+        totals.position_sum += rollup.position_sum || 0;
+        rollup.response_times.forEach((count, i) => {
+            totals.response_times[i] += count;
+        });
+    });
+    
+    return totals;
+}
+
+// Funil: entrada (leads ou inícios do fluxo) e cada checkpoint na ordem da
+// jornada, com conversão em relação ao passo anterior
+function buildFunnel(rollups, flowId) {
+    const entries = sumRollups(rollups.filter(r => !r.checkpoint));
+    const entered = flowId ? entries.flow_starts : entries.leads;
+    
+    const byCheckpoint = new Map();
+    rollups.filter(r => r.checkpoint).forEach(rollup => {
+        if (!byCheckpoint.has(rollup.checkpoint)) byCheckpoint.set(rollup.checkpoint, []);
+        byCheckpoint.get(rollup.checkpoint).push(rollup);
+    });
+    
+    const flow = flowId ? flows.get(flowId) : null;
+    const flowOrder = flow ? flow.steps.map(step => step.name) : [];
+    
+    const steps = Array.from(byCheckpoint.entries()).map(([checkpoint, list]) => {
+        const totals = sumRollups(list);
+        return {
+            checkpoint: checkpoint,
+            activations: totals.activations,
+            passes: totals.passes,
+            timeouts: totals.timeouts,
+            invalid_replies: totals.invalid_replies,
+            pass_rate: percentage(totals.passes, totals.activations),
+            response_time: {
+                median_seconds: histogramPercentile(totals.response_times, 0.5),
+                p90_seconds: histogramPercentile(totals.response_times, 0.9)
+            },
+            order: flowOrder.includes(checkpoint)
+                ? flowOrder.indexOf(checkpoint)
+                : flowOrder.length + (totals.activations > 0 ? totals.position_sum / totals.activations : 0)
+        };
+    }).sort((a, b) => a.order - b.order);
+    
+    let previous = entered;
+    steps.forEach(step => {
+        step.conversion_from_previous = percentage(step.passes, previous);
+        step.drop_off = step.conversion_from_previous === null ? null : Math.round((100 - step.conversion_from_previous) * 10) / 10;
+        step.conversion_from_start = percentage(step.passes, entered);
+        previous = step.passes;
+        delete step.order;
+    });
+    
+    return {
+        entered: entered,
+        steps: steps,
+        converted: entries.conversions,
+        lost: entries.losses,
+        conversion_rate: percentage(entries.conversions, entered)
+    };
+}
+
+function cleanupAnalytics() {
+    const cutoff = getAnalyticsDay(new Date(Date.now() - ANALYTICS_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    let removed = 0;
+    
+    for (const [key, rollup] of analyticsRollups.entries()) {
+        if (rollup.day < cutoff) {
+            analyticsRollups.delete(key);
+            unpersist('analytics', key);
+            removed++;
+        }
+    }
+    
+    return removed;
+}
+
+// ============================================
+// COMUNICAÇÃO COM N8N
+// ============================================
+// Todo evento recebe um event_id (também no header X-Event-Id) para o N8N
+// deduplicar. Falhas entram na fila com backoff exponencial e, depois de
+// N8N_MAX_ATTEMPTS tentativas, vão para a lista de eventos falhos.
+async function notifyN8N(data) {
+    const entry = {
+        event_id: crypto.randomUUID(),
+        payload: null,
+        attempts: 0,
+        created_at: new Date().toISOString(),
+        next_attempt_at: null,
+        last_error: null
+    };
+    entry.payload = {
+        ...data,
+        event_id: entry.event_id,
+        timestamp: entry.created_at,
+        brazil_time: getBrazilTime()
+    };
+    
+    return deliverEvent(entry);
+}
+
+async function deliverEvent(entry) {
+    const event = entry.payload.event;
+    entry.attempts++;
+    entry.last_attempt_at = new Date().toISOString();
+    const startedAt = Date.now();
+    
+    try {
+        const response = await axios.post(N8N_WEBHOOK_URL, entry.payload, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Event-Id': entry.event_id
+            },
+            timeout: 10000
+        });
+        
+        observeMetric('cerebro_n8n_request_duration_seconds', {}, (Date.now() - startedAt) / 1000);
+        incrementMetric('cerebro_n8n_notifications_sent_total', { event: event });
+        
+        if (eventQueue.delete(entry.event_id)) {
+            unpersist('eventQueue', entry.event_id);
+        }
+        
+        addLog('n8n', `Evento '${event}' enviado para N8N (tentativa ${entry.attempts})`, entry.payload);
+        return { success: true, event_id: entry.event_id, response: response.data };
+        
+    } catch (error) {
+        entry.last_error = error.message;
+        observeMetric('cerebro_n8n_request_duration_seconds', {}, (Date.now() - startedAt) / 1000);
+        incrementMetric('cerebro_n8n_notifications_failed_total', { event: event });
+        
+        if (entry.attempts >= N8N_MAX_ATTEMPTS) {
+            moveToDeadLetter(entry);
+            addLog('error', `Evento '${event}' movido para dead-letter após ${entry.attempts} tentativas: ${error.message}`);
+        } else {
+            const delay = getRetryDelay(entry.attempts);
+            entry.next_attempt_at = new Date(Date.now() + delay).toISOString();
+            eventQueue.set(entry.event_id, entry);
+            persist('eventQueue', entry.event_id, entry);
+            scheduleEventRetry(entry, delay);
+            
+            addLog('error', `Falha ao notificar N8N (${event}): ${error.message}. Nova tentativa em ${delay / 1000}s`);
+        }
+        
+        return { success: false, event_id: entry.event_id, error: error.message };
+    }
+}
+
+// Espera antes da próxima tentativa: dobra a cada falha até N8N_RETRY_MAX_DELAY
+function getRetryDelay(attempts) {
+    return Math.min(N8N_RETRY_BASE_DELAY * Math.pow(2, attempts - 1), N8N_RETRY_MAX_DELAY);
+}
+
+function scheduleEventRetry(entry, delay) {
+    if (eventRetryTimers.has(entry.event_id)) {
+        clearTimeout(eventRetryTimers.get(entry.event_id));
+    }
+    
+    const timerId = setTimeout(() => {
+        eventRetryTimers.delete(entry.event_id);
+        deliverEvent(entry);
+    }, delay);
+    
+    eventRetryTimers.set(entry.event_id, timerId);
+}
+
+function moveToDeadLetter(entry) {
+    eventQueue.delete(entry.event_id);
+    unpersist('eventQueue', entry.event_id);
+    
+    entry.failed_at = new Date().toISOString();
+    entry.next_attempt_at = null;
+    failedEvents.set(entry.event_id, entry);
+    persist('failedEvents', entry.event_id, entry);
+    
+    // Dead-letter limitada: descarta os mais antigos
+    while (failedEvents.size > N8N_DEAD_LETTER_MAX) {
+        const oldest = failedEvents.keys().next().value;
+        failedEvents.delete(oldest);
+        unpersist('failedEvents', oldest);
+        addLog('warning', `Dead-letter cheia (${N8N_DEAD_LETTER_MAX}) - evento ${oldest} descartado`);
+    }
+}
+
+// Tira o evento da dead-letter e reinicia a contagem: ganha um novo ciclo completo de tentativas
+function takeFailedEvent(eventId) {
+    const entry = failedEvents.get(eventId);
+    if (!entry) return null;
+    
+    failedEvents.delete(eventId);
+    unpersist('failedEvents', eventId);
+    entry.attempts = 0;
+    entry.failed_at = null;
+    return entry;
+}
+
+async function retryFailedEvent(eventId) {
+    const entry = takeFailedEvent(eventId);
+    if (!entry) return null;
+    
+    addLog('n8n', `Reenvio manual do evento '${entry.payload.event}' (${eventId})`);
+    return deliverEvent(entry);
+}
+
+// Devolve toda a dead-letter (ou só um tipo de evento) para a fila, espaçando as entregas
+function retryAllFailedEvents(eventName = null) {
+    const ids = Array.from(failedEvents.values())
+        .filter(entry => !eventName || entry.payload.event === eventName)
+        .map(entry => entry.event_id);
+    
+    ids.forEach((eventId, index) => {
+        const entry = takeFailedEvent(eventId);
+        const delay = index * N8N_BULK_RETRY_SPACING;
+        entry.next_attempt_at = new Date(Date.now() + delay).toISOString();
+        eventQueue.set(entry.event_id, entry);
+        persist('eventQueue', entry.event_id, entry);
+        scheduleEventRetry(entry, delay);
+    });
+    
+    if (ids.length > 0) {
+        addLog('n8n', `Reenvio em lote de ${ids.length} eventos da dead-letter${eventName ? ` ('${eventName}')` : ''}`);
+    }
+    return ids.length;
+}
+
+function cleanupFailedEvents() {
+    const now = Date.now();
+    for (const [eventId, entry] of failedEvents.entries()) {
+        if (now - new Date(entry.failed_at).getTime() > N8N_DEAD_LETTER_TTL) {
+            failedEvents.delete(eventId);
+            unpersist('failedEvents', eventId);
+        }
+    }
+}
+
+// Reagenda eventos que estavam na fila quando o processo parou
+function restoreEventQueue() {
+    const now = Date.now();
+    
+    for (const entry of eventQueue.values()) {
+        const delay = Math.max(0, new Date(entry.next_attempt_at).getTime() - now);
+        scheduleEventRetry(entry, delay);
+    }
+    
+    if (eventQueue.size > 0) {
+        addLog('system', `${eventQueue.size} eventos N8N reagendados`);
+    }
+}
+
+// ============================================
+// COMUNICAÇÃO COM EVOLUTION API
+// ============================================
+// Cada tipo de payload vira uma chamada diferente na Evolution API
+const EVOLUTION_SENDERS = {
+    text: (number, payload) => {
+        if (!payload.text) return null;
+        return { endpoint: 'sendText', body: { number, text: payload.text } };
+    },
+    image: (number, payload) => buildMediaRequest(number, payload, 'image'),
+    document: (number, payload) => buildMediaRequest(number, payload, 'document'),
+    audio: (number, payload) => {
+        if (!payload.url) return null;
+        return { endpoint: 'sendWhatsAppAudio', body: { number, audio: payload.url } };
+    },
+    buttons: (number, payload) => {
+        if (!Array.isArray(payload.buttons) || payload.buttons.length === 0) return null;
+        return {
+            endpoint: 'sendButtons',
+            body: {
+                number,
+                title: payload.title || '',
+                description: payload.text || '',
+                footer: payload.footer || '',
+                buttons: payload.buttons.map(b => ({
+                    type: 'reply',
+                    displayText: b.text,
+                    id: b.id
+                }))
+            }
+        };
+    },
+    list: (number, payload) => {
+        if (!Array.isArray(payload.sections) || payload.sections.length === 0) return null;
+        return {
+            endpoint: 'sendList',
+            body: {
+                number,
+                title: payload.title || '',
+                description: payload.text || '',
+                buttonText: payload.button_text || 'Ver opções',
+                footerText: payload.footer || '',
+                sections: payload.sections.map(section => ({
+                    title: section.title,
+                    rows: (section.rows || []).map(row => ({
+                        title: row.title,
+                        description: row.description || '',
+                        rowId: row.id
+                    }))
+                }))
+            }
+        };
+    }
+};
+
+function buildMediaRequest(number, payload, mediatype) {
+    if (!payload.url) return null;
+    
+    return {
+        endpoint: 'sendMedia',
+        body: {
+            number,
+            mediatype,
+            media: payload.url,
+            caption: payload.caption || '',
+            mimetype: payload.mimetype,
+            fileName: payload.filename
+        }
+    };
+}
+
+function getInstanceApiKey(instanceName) {
+    const instance = instances.get(instanceName);
+    return (instance && instance.api_key) || EVOLUTION_API_KEY || (instance && instance.id) || '';
+}
+
+async function sendMessage(phone, payload = {}) {
+    const conversation = conversationState.get(phone);
+    
+    if (!conversation) {
+        return { success: false, status: 404, error: 'Conversa não encontrada' };
+    }
+    
+    if (isSuppressed(phone)) {
+        return { success: false, status: 403, error: 'Telefone na lista de supressão (opt-out)' };
+    }
+    
+    const type = payload.type || 'text';
+    const builder = EVOLUTION_SENDERS[type];
+    if (!builder) {
+        return { success: false, status: 400, error: `Tipo de mensagem não suportado: ${type}` };
+    }
+    
+    const request = builder(getSendNumber(conversation), payload);
+    if (!request) {
+        return { success: false, status: 400, error: `Payload inválido para mensagem do tipo ${type}` };
+    }
+    
+    const url = `${EVOLUTION_API_URL}/message/${request.endpoint}/${encodeURIComponent(conversation.instance)}`;
+    
+    try {
+        const response = await axios.post(url, request.body, {
+            headers: {
+                'Content-Type': 'application/json',
+                apikey: getInstanceApiKey(conversation.instance)
+            },
+            timeout: 15000
+        });
+        
+        const sent = recordMessage(phone, {
+            id: response.data?.key?.id || null,
+            direction: 'outbound',
+            type: type,
+            text: payload.text || payload.caption || '',
+            media: payload.url ? { url: payload.url, mimetype: payload.mimetype || null, filename: payload.filename || null } : null,
+            instance: conversation.instance,
+            source: 'api'
+        });
+        
+        conversation.last_activity = new Date();
+        persistConversation(conversation);
+        
+        addLog('evolution', `Mensagem ${type} enviada para ${phone} via ${conversation.instance}`, {
+            phone: phone,
+            message_id: sent.id
+        });
+        
+        return { success: true, message_id: sent.id, instance: conversation.instance, type: type };
+        
+    } catch (error) {
+        // Evolution respondeu com erro: repassa status e corpo para o chamador
+        const status = error.response?.status;
+        const details = error.response?.data || null;
+        
+        addLog('error', `Evolution rejeitou envio para ${phone} (${status || 'sem resposta'}): ${error.message}`, details);
+        
+        return {
+            success: false,
+            status: 502,
+            error: 'Falha ao enviar mensagem pela Evolution API',
+            evolution_status: status || null,
+            details: details
+        };
+    }
+}
+
+// ============================================
+// MONITORAMENTO DE CONEXÃO DAS INSTÂNCIAS
+// ============================================
+// Estados vindos do polling (connectionState) ou dos webhooks connection.update
+// e qrcode.updated. Instâncias em estado de queda saem da rotação até voltar a 'open'.
+const INSTANCE_DOWN_STATES = ['close', 'qr_required', 'logged_out', 'banned', 'not_found'];
+
+function recordInstanceState(name, state, source, reason = null) {
+    const stats = instanceStats.get(name);
+    if (!stats) return;
+    
+    const previousState = stats.connection_state || null;
+    const wasDown = stats.connection_down === true;
+    
+    stats.connection_state = state;
+    stats.connection_checked_at = new Date();
+    if (state === 'open') {
+        stats.connection_down = false;
+    } else if (INSTANCE_DOWN_STATES.includes(state)) {
+        stats.connection_down = true;
+    }
+    persist('instanceStats', name, stats);
+    
+    if (previousState !== state) {
+        const timeline = instanceHealth.get(name) || [];
+        timeline.unshift({ state: state, previous: previousState, source: source, reason: reason, at: new Date().toISOString() });
+        instanceHealth.set(name, timeline.slice(0, INSTANCE_HEALTH_TIMELINE_SIZE));
+        persist('instanceHealth', name, instanceHealth.get(name));
+        publishEvent('instance', 'instance_state', instanceSummary(name));
+    }
+    
+    if (!wasDown && stats.connection_down) {
+        addLog('error', `Instância ${name} caiu (${state}${reason ? ': ' + reason : ''}), removida da rotação`);
+        notifyN8N({ event: 'instance_down', instance: name, state: state, reason: reason, source: source });
+    } else if (wasDown && !stats.connection_down) {
+        addLog('instance', `Instância ${name} reconectada, de volta à rotação`);
+        notifyN8N({ event: 'instance_recovered', instance: name, state: state, previous_state: previousState, source: source });
+    }
+}
+
+// Traduz o statusReason do Baileys para um estado mais específico
+function mapConnectionState(state, statusReason) {
+    if (state === 'close' && statusReason === 401) return 'logged_out';
+    if (state === 'close' && statusReason === 403) return 'banned';
+    return state;
+}
+
+async function checkInstanceConnection(instance) {
+    try {
+        const response = await axios.get(
+            `${EVOLUTION_API_URL}/instance/connectionState/${encodeURIComponent(instance.name)}`,
+            { headers: { apikey: getInstanceApiKey(instance.name) }, timeout: 10000 }
+        );
+        
+        const state = response.data?.instance?.state || response.data?.state || 'unknown';
+        recordInstanceState(instance.name, state, 'poll');
+        
+    } catch (error) {
+        if (error.response?.status === 404) {
+            recordInstanceState(instance.name, 'not_found', 'poll', 'Instância não existe na Evolution');
+        } else {
+            // Falha de rede com a Evolution não diz nada sobre o número: só registra
+            addLog('warning', `Falha ao consultar conexão de ${instance.name}: ${error.message}`);
+        }
+    }
+}
+
+async function pollInstancesHealth() {
+    for (const instance of listInstances()) {
+        await checkInstanceConnection(instance);
+    }
+}
+
+// Eventos de conexão recebidos em /webhook/evolution
+function handleConnectionWebhook(event, data) {
+    const name = data.instance;
+    if (!name || !instances.has(name)) {
+        addLog('warning', `Evento ${event} para instância desconhecida: ${name}`);
+        return;
+    }
+    
+    if (event === 'qrcode.updated') {
+        recordInstanceState(name, 'qr_required', 'webhook', 'QR code precisa ser escaneado novamente');
+        return;
+    }
+    
+    const state = data.data?.state;
+    if (state) {
+        const statusReason = data.data?.statusReason;
+        recordInstanceState(name, mapConnectionState(state, statusReason), 'webhook', statusReason ? `statusReason ${statusReason}` : null);
+    }
+}
+
+// ============================================
+// FLUXOS DE CHECKPOINT (FUNIS)
+// ============================================
+// Um fluxo é uma lista ordenada de checkpoints:
+// {
+//   id: 'funil_padrao',
+//   start: 'boas_vindas',
+//   steps: [{
+//     name: 'boas_vindas',
+//     timeout_minutes: 60,
+//     message: { type: 'text', text: 'Olá!' },   // enviado via Evolution
+//     expected_reply: 'Nome do cliente',          // descrição para auditoria
+//     accept: [{ type: 'yes_no' }],               // ver VALIDAÇÃO DE RESPOSTAS
+//     on_reply: 'qualificacao',                   // próximo passo (null = fim)
+//                                                 // ou { yes: 'a', no: 'b', default: 'c' }
+//     on_timeout: null                            // passo em caso de timeout
+//   }]
+// }
+// Cada alteração gera uma nova versão; conversas seguem na versão em que começaram.
+function validateFlow(definition) {
+    const errors = [];
+    
+    if (!definition || typeof definition !== 'object') {
+        return ['Definição de fluxo inválida'];
+    }
+    if (!definition.id || typeof definition.id !== 'string') {
+        errors.push('id é obrigatório');
+    }
+    if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+        errors.push('steps deve ter ao menos um checkpoint');
+        return errors;
+    }
+    
+    const names = new Set();
+    definition.steps.forEach((step, index) => {
+        if (!step.name) {
+            errors.push(`steps[${index}].name é obrigatório`);
+        } else if (names.has(step.name)) {
+            errors.push(`Checkpoint duplicado: ${step.name}`);
+        }
+        names.add(step.name);
+        
+        if (step.timeout_minutes !== undefined && !(Number(step.timeout_minutes) > 0)) {
+            errors.push(`steps[${index}].timeout_minutes deve ser positivo`);
+        }
+        if (step.message && !EVOLUTION_SENDERS[step.message.type || 'text']) {
+            errors.push(`steps[${index}].message tem tipo não suportado`);
+        }
+    });
+    
+    definition.steps.forEach(step => {
+        const targets = [['on_timeout', step.on_timeout]];
+        if (step.on_reply && typeof step.on_reply === 'object') {
+            Object.entries(step.on_reply).forEach(([value, target]) => targets.push([`on_reply.${value}`, target]));
+        } else {
+            targets.push(['on_reply', step.on_reply]);
+        }
+        
+        targets.forEach(([field, target]) => {
+            if (target && !names.has(target)) {
+                errors.push(`${step.name}.${field} aponta para checkpoint inexistente: ${target}`);
+            }
+        });
+        
+        validateReplyRules(step.accept).forEach(error => errors.push(`${step.name}.${error}`));
+        validateFollowUps(step.follow_ups, step.timeout_minutes || CHECKPOINT_TIMEOUT / 60000)
+            .forEach(error => errors.push(`${step.name}.${error}`));
+    });
+    
+    if (definition.start && !names.has(definition.start)) {
+        errors.push(`start aponta para checkpoint inexistente: ${definition.start}`);
+    }
+    
+    return errors;
+}
+
+// Maior versão já gravada do fluxo, inclusive de fluxos removidos: versões
+// nunca são reescritas porque conversas continuam presas a elas
+function getLatestFlowVersion(id) {
+    let latest = 0;
+    flowVersions.forEach(flow => {
+        if (flow.id === id && flow.version > latest) latest = flow.version;
+    });
+    return latest;
+}
+
+function saveFlow(definition, origin = 'api') {
+    const errors = validateFlow(definition);
+    if (errors.length > 0) {
+        return { success: false, errors: errors };
+    }
+    
+    const body = {
+        id: definition.id,
+        description: definition.description || '',
+        start: definition.start || definition.steps[0].name,
+        steps: definition.steps
+    };
+    
+    const current = flows.get(body.id);
+    if (current && JSON.stringify(flowBody(current)) === JSON.stringify(body)) {
+        return { success: true, flow: current, changed: false };
+    }
+    
+    const flow = {
+        ...body,
+        version: getLatestFlowVersion(body.id) + 1,
+        origin: origin,
+        updated_at: new Date().toISOString()
+    };
+    
+    flows.set(flow.id, flow);
+    flowVersions.set(`${flow.id}@${flow.version}`, flow);
+    persist('flows', flow.id, flow);
+    persist('flowVersions', `${flow.id}@${flow.version}`, flow);
+    
+    addLog('flow', `Fluxo '${flow.id}' salvo na versão ${flow.version} (${origin})`);
+    
+    return { success: true, flow: flow, changed: true };
+}
+
+function flowBody(flow) {
+    return { id: flow.id, description: flow.description, start: flow.start, steps: flow.steps };
+}
+
+function deleteFlow(flowId) {
+    if (!flows.has(flowId)) return false;
+    
+    // Versões antigas ficam guardadas para as conversas em andamento
+    flows.delete(flowId);
+    unpersist('flows', flowId);
+    addLog('flow', `Fluxo '${flowId}' removido`);
+    return true;
+}
+
+// FLOWS_FILE só semeia: um fluxo do arquivo entra apenas se o id nunca existiu
+// (nem em versões antigas). Depois disso a API manda - edições por PUT e
+// remoções por DELETE não são desfeitas no próximo boot.
+function loadFlowsFile() {
+    if (!fs.existsSync(FLOWS_FILE)) return;
+    
+    try {
+        const content = JSON.parse(fs.readFileSync(FLOWS_FILE, 'utf8'));
+        const definitions = Array.isArray(content) ? content : content.flows || [];
+        
+        definitions.forEach(definition => {
+            if (definition && getLatestFlowVersion(definition.id) > 0) return;
+            
+            const result = saveFlow(definition, 'file');
+            if (!result.success) {
+                addLog('error', `Fluxo inválido em ${FLOWS_FILE}: ${result.errors.join('; ')}`);
+            }
+        });
+    } catch (error) {
+        addLog('error', `Falha ao ler ${FLOWS_FILE}: ${error.message}`);
+    }
+}
+
+function getConversationFlow(conversation) {
+    if (!conversation.flow) return null;
+    return flowVersions.get(`${conversation.flow.id}@${conversation.flow.version}`) || null;
+}
+
+function startFlow(phone, flowId) {
+    const conversation = conversationState.get(phone);
+    if (!conversation) {
+        return { success: false, error: 'Conversa não encontrada' };
+    }
+    
+    const flow = flows.get(flowId);
+    if (!flow) {
+        return { success: false, error: `Fluxo não encontrado: ${flowId}` };
+    }
+    
+    conversation.flow = {
+        id: flow.id,
+        version: flow.version,
+        started_at: new Date(),
+        completed_at: null,
+        history: []
+    };
+    persistConversation(conversation);
+    trackAnalytics(conversation, 'flow_start');
+    
+    addLog('flow', `${phone} iniciou fluxo '${flow.id}' v${flow.version}`);
+    
+    return enterFlowStep(phone, flow.start, 'start');
+}
+
+function enterFlowStep(phone, stepName, trigger) {
+    const conversation = conversationState.get(phone);
+    const flow = conversation && getConversationFlow(conversation);
+    if (!flow) {
+        return { success: false, error: 'Conversa sem fluxo ativo' };
+    }
+    
+    // Passo que envia mensagem não começa no horário de silêncio
+    const nextStep = stepName ? flow.steps.find(s => s.name === stepName) : null;
+    const quietEnd = nextStep && nextStep.message ? getQuietHoursEnd() : null;
+    if (quietEnd) {
+        conversation.flow.deferred_step = { step: stepName, trigger: trigger, until: quietEnd };
+        conversation.waiting_response = false;
+        transitionConversation(conversation, 'active', { reason: `passo '${stepName}' adiado (horário de silêncio)` });
+        persistConversation(conversation);
+        scheduleDeferredStep(phone, quietEnd);
+        
+        addLog('flow', `Passo '${stepName}' de ${phone} adiado para ${quietEnd.toLocaleString('pt-BR', { timeZone: TIMEZONE })} (horário de silêncio)`);
+        return { success: true, deferred_until: quietEnd, flow: flow.id, flow_version: flow.version };
+    }
+    delete conversation.flow.deferred_step;
+    
+    conversation.flow.history.push({ step: stepName || null, trigger: trigger, at: new Date() });
+    
+    // Sem próximo passo: fluxo concluído
+    if (!stepName) {
+        conversation.flow.completed_at = new Date();
+        conversation.flow.outcome = 'completed';
+        persistConversation(conversation);
+        
+        addLog('flow', `${phone} concluiu fluxo '${flow.id}' v${flow.version}`);
+        notifyN8N({
+            event: 'flow_completed',
+            phone: phone,
+            flow: flow.id,
+            flow_version: flow.version,
+            last_trigger: trigger,
+            instance: conversation.instance
+        });
+        
+        return { success: true, completed: true };
+    }
+    
+    const step = flow.steps.find(s => s.name === stepName);
+    const result = activateCheckpoint(phone, step.name, {
+        timeout_minutes: step.timeout_minutes,
+        accept: step.accept,
+        max_retries: step.max_retries,
+        reprompt: step.reprompt,
+        follow_ups: step.follow_ups,
+        business_time: step.business_time
+    });
+    
+    if (result.success && step.message) {
+        sendMessage(phone, step.message).then(sent => {
+            if (!sent.success) {
+                addLog('error', `Falha ao enviar mensagem do checkpoint '${step.name}' para ${phone}: ${sent.error}`);
+            }
+        }).catch(error => {
+            addLog('error', `Erro ao enviar mensagem do checkpoint '${step.name}' para ${phone}: ${error.message}`);
+        });
+    }
+    
+    return { ...result, flow: flow.id, flow_version: flow.version };
+}
+
+function scheduleDeferredStep(phone, until) {
+    if (deferredStepTimers.has(phone)) {
+        clearTimeout(deferredStepTimers.get(phone));
+    }
+    
+    deferredStepTimers.set(phone, setTimeout(() => {
+        deferredStepTimers.delete(phone);
+        
+        const conversation = conversationState.get(phone);
+        const deferred = conversation && conversation.flow && conversation.flow.deferred_step;
+        if (deferred) {
+            enterFlowStep(phone, deferred.step, deferred.trigger);
+        }
+    }, Math.max(new Date(until) - Date.now(), 0)));
+}
+
+// Chamado após resposta ou timeout do checkpoint atual.
+// on_reply pode ser um passo fixo ou um mapa { valor_reconhecido: passo, default: passo }.
+function advanceFlow(phone, trigger, matched = null) {
+    const conversation = conversationState.get(phone);
+    const flow = conversation && getConversationFlow(conversation);
+    if (!flow || conversation.flow.completed_at) return null;
+    
+    const step = flow.steps.find(s => s.name === conversation.current_checkpoint);
+    if (!step) return null;
+    
+    if (trigger === 'timeout' && !step.on_timeout) {
+        // Sem rota de timeout: o fluxo para aqui e fica registrado
+        conversation.flow.history.push({ step: null, trigger: `${step.name}:timeout`, at: new Date() });
+        conversation.flow.completed_at = new Date();
+        conversation.flow.outcome = 'timeout';
+        persistConversation(conversation);
+        return null;
+    }
+    
+    let next = step.on_timeout;
+    if (trigger === 'reply') {
+        next = step.on_reply && typeof step.on_reply === 'object'
+            ? step.on_reply[matched] || step.on_reply.default
+            : step.on_reply;
+    }
+    
+    return enterFlowStep(phone, next || null, `${step.name}:${trigger}`);
+}
+
+// ============================================
+// RESPOSTAS DE CHECKPOINT
+// ============================================
+// Processa a resposta, avisa o N8N e avança o fluxo (ou reenvia a pergunta)
+async function handleCheckpointReply(phone, inbound) {
+    const result = processCheckpointResponse(phone, inbound);
+    
+    if (result.success) {
+        // Notifica N8N que checkpoint foi passado
+        await notifyN8N({
+            event: 'checkpoint_passed',
+            phone: phone,
+            checkpoint: result.checkpoint,
+            response: result.response,
+            message_type: result.message_type,
+            media: result.media,
+            selected_id: result.selected_id,
+            matched: result.matched,
+            rule: result.rule,
+            follow_up: result.follow_up,
+            instance: result.instance,
+            flow: result.flow
+        });
+        
+        advanceFlow(phone, 'reply', result.matched);
+    } else if (result.invalid) {
+        await notifyN8N({
+            event: 'checkpoint_invalid_reply',
+            phone: phone,
+            checkpoint: result.checkpoint,
+            response: result.response,
+            message_type: result.message_type,
+            retries: result.retries,
+            max_retries: result.max_retries,
+            max_retries_reached: result.max_retries_reached,
+            instance: result.instance
+        });
+        
+        if (result.reprompt) {
+            const sent = await sendMessage(phone, result.reprompt);
+            if (!sent.success) {
+                addLog('error', `Falha ao reenviar pergunta do checkpoint '${result.checkpoint}' para ${phone}: ${sent.error}`);
+            }
+        }
+    }
+    
+    return result;
+}
+
+// Mensagens que chegam sem checkpoint pendente. Políticas por status da conversa:
+//   forward  - repassa ao N8N como free_message
+//   reengage - reativa a conversa e emite conversation_reengaged
+//   queue    - guarda até o próximo checkpoint ser ativado
+//   ignore   - apenas registra no histórico
+const LATE_REPLY_ACTIONS = ['forward', 'reengage', 'queue', 'ignore'];
+
+function validateLateReplyPolicies(policies) {
+    if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+        return ['políticas devem ser um objeto { status: ação }'];
+    }
+    
+    const invalid = Object.entries(policies).filter(([, action]) => !LATE_REPLY_ACTIONS.includes(action));
+    return invalid.length > 0
+        ? [`Ação inválida para ${invalid.map(([status]) => status).join(', ')}. Use: ${LATE_REPLY_ACTIONS.join(', ')}`]
+        : [];
+}
+
+function getLateReplyPolicy(status) {
+    return lateReplyPolicies[status] || lateReplyPolicies.default || 'forward';
+}
+
+async function handleLateReply(phone, inbound) {
+    const conversation = conversationState.get(phone);
+    // Em atendimento humano as mensagens sempre seguem para o N8N
+    const policy = conversation.status === 'human_takeover' ? 'forward' : getLateReplyPolicy(conversation.status);
+    const text = getMessageText(inbound);
+    
+    conversation.last_activity = new Date();
+    
+    if (policy === 'reengage' && conversation.status !== 'active' && canTransition(conversation.status, 'active')) {
+        const previousStatus = conversation.status;
+        transitionConversation(conversation, 'active', { reason: 'lead voltou a responder' });
+        conversation.reengaged_at = new Date();
+        conversation.reengage_count = (conversation.reengage_count || 0) + 1;
+        persistConversation(conversation);
+        
+        dailyStats.reengaged = (dailyStats.reengaged || 0) + 1;
+        totalReengaged++;
+        persistCounters();
+        
+        addLog('conversation', `🔥 ${phone} voltou a responder após ${previousStatus} - conversa reativada`);
+        
+        await notifyN8N({
+            event: 'conversation_reengaged',
+            phone: phone,
+            previous_status: previousStatus,
+            last_checkpoint: conversation.current_checkpoint,
+            message: text,
+            message_type: inbound.type,
+            reengage_count: conversation.reengage_count,
+            instance: conversation.instance
+        });
+        return 'reengaged';
+    }
+    
+    if (policy === 'queue') {
+        if (!conversation.queued_messages) conversation.queued_messages = [];
+        conversation.queued_messages.push(inbound);
+        persistConversation(conversation);
+        
+        addLog('info', `Mensagem de ${phone} guardada até o próximo checkpoint`);
+        return 'queued';
+    }
+    
+    persistConversation(conversation);
+    
+    if (policy === 'ignore') {
+        addLog('info', `Resposta ignorada - ${phone} não aguardava resposta`);
+        return 'ignored';
+    }
+    
+    // forward (e reengage em conversa já ativa)
+    await notifyN8N({
+        event: 'free_message',
+        phone: phone,
+        status: conversation.status,
+        last_checkpoint: conversation.current_checkpoint,
+        message: text,
+        message_type: inbound.type,
+        media: inbound.media,
+        selected_id: inbound.selected_id,
+        instance: conversation.instance
+    });
+    return 'forwarded';
+}
+
+// Mensagens guardadas pela política 'queue' respondem ao checkpoint recém-ativado
+async function drainQueuedMessages(phone) {
+    const conversation = conversationState.get(phone);
+    if (!conversation || !conversation.queued_messages || conversation.queued_messages.length === 0) {
+        return;
+    }
+    
+    const queued = conversation.queued_messages;
+    conversation.queued_messages = [];
+    persistConversation(conversation);
+    
+    for (let i = 0; i < queued.length; i++) {
+        if (!conversationState.get(phone).waiting_response) {
+            // Checkpoint já passou: o restante volta para a fila
+            conversation.queued_messages = queued.slice(i);
+            persistConversation(conversation);
+            return;
+        }
+        await handleCheckpointReply(phone, queued[i]);
+    }
+}
+
+// ============================================
+// OPT-OUT E LISTA DE SUPRESSÃO
+// ============================================
+// Telefones na lista não viram conversa e não recebem nenhum envio.
+// A lista é permanente: só sai dela por remoção explícita na API.
+function isSuppressed(phone) {
+    return suppressionList.has(phone);
+}
+
+function getOptOutKeyword(message) {
+    const text = normalizeText(getMessageText(message));
+    return OPT_OUT_KEYWORDS.find(keyword => normalizeText(keyword) === text) || null;
+}
+
+function suppressPhone(phone, details = {}) {
+    const entry = {
+        phone: phone,
+        reason: details.reason || 'opt_out',
+        source: details.source || 'api',
+        keyword: details.keyword || null,
+        added_at: new Date().toISOString()
+    };
+    
+    suppressionList.set(phone, entry);
+    persist('suppression', phone, entry);
+    
+    const conversation = conversationState.get(phone);
+    if (conversation && transitionConversation(conversation, 'opted_out', { reason: entry.reason, by: entry.source }).changed) {
+        conversation.opted_out_at = new Date();
+        persistConversation(conversation);
+    }
+    
+    return entry;
+}
+
+function unsuppressPhone(phone) {
+    if (!suppressionList.delete(phone)) {
+        return false;
+    }
+    unpersist('suppression', phone);
+    return true;
+}
+
+// Campo de CSV: sempre entre aspas; valores iniciados por = + - @ recebem
+// um apóstrofo para não virarem fórmula ao abrir a planilha
+function toCsvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+    }
+    return '"' + text.replace(/"/g, '""') + '"';
+}
+
+// Encerra checkpoint, lembretes e passos adiados da conversa (outcome encerra o fluxo)
+function stopConversationTimers(phone, outcome) {
+    const conversation = conversationState.get(phone);
+    if (!conversation) return;
+    
+    const timeoutKey = `${phone}_${conversation.current_checkpoint}`;
+    if (checkpointTimeouts.has(timeoutKey)) {
+        clearTimeout(checkpointTimeouts.get(timeoutKey));
+        checkpointTimeouts.delete(timeoutKey);
+    }
+    cancelFollowUps(phone, conversation.current_checkpoint);
+    if (deferredStepTimers.has(phone)) {
+        clearTimeout(deferredStepTimers.get(phone));
+        deferredStepTimers.delete(phone);
+    }
+    
+    conversation.waiting_response = false;
+    delete conversation.queued_messages;
+    if (conversation.flow) {
+        delete conversation.flow.deferred_step;
+        if (!conversation.flow.completed_at) {
+            conversation.flow.completed_at = new Date();
+            conversation.flow.outcome = outcome;
+        }
+    }
+}
+
+async function handleOptOut(phone, inbound, keyword) {
+    const conversation = conversationState.get(phone);
+    suppressPhone(phone, { reason: 'opt_out', source: 'whatsapp', keyword: keyword });
+    
+    dailyStats.opt_outs = (dailyStats.opt_outs || 0) + 1;
+    persistCounters();
+    
+    addLog('conversation', `🚫 ${phone} pediu para sair ("${keyword}") - adicionado à lista de supressão`);
+    
+    await notifyN8N({
+        event: 'opt_out',
+        phone: phone,
+        keyword: keyword,
+        message: getMessageText(inbound),
+        checkpoint: conversation ? conversation.current_checkpoint : null,
+        flow: conversation && conversation.flow ? conversation.flow.id : null,
+        instance: conversation ? conversation.instance : null
+    });
+}
+
+// ============================================
+// DEDUPLICAÇÃO DE WEBHOOKS
+// ============================================
+// A Evolution reenvia webhooks; a mesma mensagem (instância + key.id) só é
+// processada uma vez dentro de WEBHOOK_DEDUP_TTL.
+function getMessageDedupKey(data) {
+    const messageId = data.data?.key?.id;
+    if (!messageId) return null;
+    return `${data.instance || 'default'}:${messageId}`;
+}
+
+// Retorna true se a mensagem já foi vista; caso contrário, registra
+function checkAndMarkMessage(dedupKey) {
+    const now = Date.now();
+    const expiresAt = processedMessages.get(dedupKey);
+    
+    if (expiresAt && expiresAt > now) {
+        return true;
+    }
+    
+    processedMessages.set(dedupKey, now + WEBHOOK_DEDUP_TTL);
+    persist('processedMessages', dedupKey, now + WEBHOOK_DEDUP_TTL);
+    return false;
+}
+
+function unmarkMessage(dedupKey) {
+    if (processedMessages.delete(dedupKey)) {
+        unpersist('processedMessages', dedupKey);
+    }
+}
+
+function cleanupProcessedMessages() {
+    const now = Date.now();
+    for (const [key, expiresAt] of processedMessages.entries()) {
+        if (expiresAt <= now) unmarkMessage(key);
+    }
+}
+
+// ============================================
+// NORMALIZAÇÃO DE TELEFONES E JIDs
+// ============================================
+// Chave das conversas: número E.164 só com dígitos (sem '+'), ex: 5511987654321
+// Tamanhos do número nacional (sem DDI) para decidir se um número sem '+' já
+// começa pelo DDI. Países fora da tabela: começar pelo DDI basta.
+const NATIONAL_NUMBER_LENGTHS = {
+    '55': [10, 11],  // DDD + 8 (fixo) ou 9 (celular)
+    '1': [10],
+    '351': [9],
+    '34': [9],
+    '52': [10]
+};
+
+function hasDefaultCountryCode(digits) {
+    if (!digits.startsWith(DEFAULT_COUNTRY_CODE)) return false;
+    const lengths = NATIONAL_NUMBER_LENGTHS[DEFAULT_COUNTRY_CODE];
+    return !lengths || lengths.includes(digits.length - DEFAULT_COUNTRY_CODE.length);
+}
+
+function normalizePhone(raw) {
+    if (raw === null || raw === undefined) return null;
+    
+    let value = String(raw).trim();
+    const isJid = value.includes('@');
+    if (isJid) {
+        // JIDs sempre trazem o DDI (ex: 5511987654321:12@s.whatsapp.net)
+        value = value.split('@')[0].split(':')[0];
+    }
+    
+    const international = isJid || value.startsWith('+') || value.startsWith('00');
+    let digits = value.replace(/\D/g, '');
+    
+    if (international) {
+        digits = digits.replace(/^00/, '');
+    } else {
+        // Número nacional: remove o zero de longa distância e adiciona o DDI padrão
+        digits = digits.replace(/^0+/, '');
+        if (!hasDefaultCountryCode(digits)) {
+            digits = DEFAULT_COUNTRY_CODE + digits;
+        }
+    }
+    
+    if (digits.length < 8 || digits.length > 15) {
+        return null;
+    }
+    
+    return normalizeBrazilianMobile(digits);
+}
+
+// Celulares brasileiros antigos (sem o nono dígito) viram o formato atual:
+// 55 + DDD + 8 dígitos começando com 6-9 -> 55 + DDD + 9 + 8 dígitos
+function normalizeBrazilianMobile(digits) {
+    if (digits.length === 12 && digits.startsWith('55') && /[6-9]/.test(digits[4])) {
+        return `${digits.slice(0, 4)}9${digits.slice(4)}`;
+    }
+    return digits;
+}
+
+// Classifica o JID recebido da Evolution
+function parseJid(jid) {
+    const value = String(jid || '');
+    const server = value.split('@')[1] || '';
+    
+    if (value === 'status@broadcast') return { type: 'status', id: value };
+    if (server === 'broadcast') return { type: 'broadcast', id: value };
+    if (server === 'g.us') return { type: 'group', id: value };
+    if (server === 'newsletter') return { type: 'newsletter', id: value };
+    if (server === 'lid') return { type: 'lid', id: value };
+    if (server === 's.whatsapp.net' || server === 'c.us') {
+        return { type: 'user', id: value, phone: normalizePhone(value) };
+    }
+    return { type: 'unknown', id: value };
+}
+
+// Telefone do contato de uma mensagem. Para @lid usa o número alternativo
+// que a Evolution envia (senderPn / remoteJidAlt), quando existir.
+function resolveSenderPhone(key) {
+    const jid = parseJid(key.remoteJid);
+    
+    if (jid.type === 'lid') {
+        const alt = key.senderPn || key.remoteJidAlt;
+        return { ...jid, phone: alt ? normalizePhone(alt) : null };
+    }
+    
+    return jid;
+}
+
+// Número usado nos envios: o JID real do contato quando já conhecido
+function getSendNumber(conversation) {
+    return conversation.whatsapp_number || conversation.phone;
+}
+
+// Guarda o número como o WhatsApp o entrega (ex: celular antigo sem o nono dígito)
+function rememberWhatsAppNumber(phone, sender) {
+    const conversation = conversationState.get(phone);
+    if (!conversation || sender.type !== 'user') return;
+    
+    const number = sender.id.split('@')[0];
+    if (conversation.whatsapp_number !== number) {
+        conversation.whatsapp_number = number;
+        persistConversation(conversation);
+    }
+}
+
+// Regrava conversas salvas com chaves antigas (formatos diferentes do mesmo número)
+function migrateConversationKeys() {
+    let migrated = 0;
+    
+    Array.from(conversationState.keys()).forEach(oldKey => {
+        const phone = normalizePhone(oldKey);
+        if (!phone || phone === oldKey) return;
+        
+        const conversation = conversationState.get(oldKey);
+        const messages = conversationMessages.get(oldKey) || [];
+        const existing = conversationState.get(phone);
+        
+        conversationState.delete(oldKey);
+        conversationMessages.delete(oldKey);
+        unpersist('conversations', oldKey);
+        unpersist('messages', oldKey);
+        
+        // Mesmo contato em duas conversas: fica a mais recente, históricos são unidos
+        // e a descartada dá baixa na instância
+        if (!existing || new Date(conversation.last_activity) > new Date(existing.last_activity)) {
+            conversation.phone = phone;
+            conversationState.set(phone, conversation);
+            if (existing) releaseInstanceSlot(existing);
+        } else {
+            releaseInstanceSlot(conversation);
+        }
+        persistConversation(conversationState.get(phone));
+        
+        const merged = (conversationMessages.get(phone) || []).concat(messages)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .map((message, index) => ({ ...message, seq: index + 1 }));
+        conversationMessages.set(phone, merged);
+        persist('messages', phone, merged);
+        
+        migrated++;
+    });
+    
+    if (migrated > 0) {
+        addLog('system', `${migrated} conversa(s) migrada(s) para telefone normalizado`);
+    }
+}
+
+// ============================================
+// NORMALIZAÇÃO DE MENSAGENS DA EVOLUTION
+// ============================================
+// Converte o payload do Baileys em um objeto único:
+// { id, type, text, caption, media, location, contacts, selected_id, selected_text }
+const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+const MEDIA_MESSAGE_KEYS = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+function normalizeEvolutionMessage(messageData) {
+    const message = messageData.message || {};
+    const normalized = {
+        id: messageData.key?.id || null,
+        type: 'unknown',
+        text: '',
+        caption: '',
+        media: null,
+        location: null,
+        contacts: null,
+        selected_id: null,
+        selected_text: null,
+        push_name: messageData.pushName || null
+    };
+    
+    if (message.conversation || message.extendedTextMessage) {
+        normalized.type = 'text';
+        normalized.text = message.conversation || message.extendedTextMessage.text || '';
+        return normalized;
+    }
+    
+    // Documento com legenda vem embrulhado em outra mensagem
+    const content = message.documentWithCaptionMessage?.message || message;
+    const mediaKey = Object.keys(MEDIA_MESSAGE_KEYS).find(key => content[key]);
+    if (mediaKey) {
+        const media = content[mediaKey];
+        normalized.type = MEDIA_MESSAGE_KEYS[mediaKey];
+        normalized.caption = media.caption || '';
+        normalized.media = {
+            // mediaUrl existe quando a Evolution está configurada com storage (S3/MinIO)
+            url: message.mediaUrl || media.url || null,
+            mimetype: media.mimetype || null,
+            filename: media.fileName || media.title || null,
+            seconds: media.seconds || null,
+            ptt: media.ptt || false,
+            has_base64: Boolean(message.base64)
+        };
+        return normalized;
+    }
+    
+    const location = message.locationMessage || message.liveLocationMessage;
+    if (location) {
+        normalized.type = 'location';
+        normalized.location = {
+            latitude: location.degreesLatitude,
+            longitude: location.degreesLongitude,
+            name: location.name || null,
+            address: location.address || null
+        };
+        return normalized;
+    }
+    
+    if (message.contactMessage || message.contactsArrayMessage) {
+        const contacts = message.contactsArrayMessage?.contacts || [message.contactMessage];
+        normalized.type = 'contact';
+        normalized.contacts = contacts.map(c => ({ name: c.displayName || null, vcard: c.vcard || null }));
+        return normalized;
+    }
+    
+    if (message.buttonsResponseMessage) {
+        normalized.type = 'button_reply';
+        normalized.selected_id = message.buttonsResponseMessage.selectedButtonId || null;
+        normalized.selected_text = message.buttonsResponseMessage.selectedDisplayText || null;
+        return normalized;
+    }
+    
+    if (message.templateButtonReplyMessage) {
+        normalized.type = 'button_reply';
+        normalized.selected_id = message.templateButtonReplyMessage.selectedId || null;
+        normalized.selected_text = message.templateButtonReplyMessage.selectedDisplayText || null;
+        return normalized;
+    }
+    
+    if (message.listResponseMessage) {
+        normalized.type = 'list_reply';
+        normalized.selected_id = message.listResponseMessage.singleSelectReply?.selectedRowId || null;
+        normalized.selected_text = message.listResponseMessage.title || null;
+        return normalized;
+    }
+    
+    return normalized;
+}
+
+// Texto que representa a mensagem (resposta de checkpoint, logs, N8N)
+function getMessageText(message) {
+    return message.text || message.caption || message.selected_text || message.selected_id || '';
+}
+
+// Reações, exclusões e afins chegam como 'unknown' e são ignorados
+function isEmptyMessage(message) {
+    return message.type === 'unknown' || (message.type === 'text' && !message.text.trim());
+}
+
+// ============================================
+// ATRIBUIÇÃO DE LEADS
+// ============================================
+// Cada conversa guarda de onde o lead veio (primeiro toque):
+// { campaign, ad_id, ad_title, ad_source_type, ad_source_url, ctwa_clid,
+//   click_id, utm: { source, medium, campaign, term, content }, first_message }
+// (+ click_token quando o lead veio de um link rastreado /r/:campanha)
+// Vem dos parâmetros de /api/lead/new ou, para anúncios Click-to-WhatsApp,
+// do contextInfo.externalAdReply / referral da mensagem na Evolution.
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+const ATTRIBUTION_MAX_LENGTH = 200; // Campos vêm de query string pública (/r/) e do webhook
+
+// Texto curto ou null: o parser de query do Express pode entregar listas e objetos
+function attributionValue(value) {
+    if (Array.isArray(value)) value = value[0];
+    if (value === null || value === undefined || typeof value === 'object' || value === '') return null;
+    return String(value).slice(0, ATTRIBUTION_MAX_LENGTH);
+}
+
+function emptyAttribution() {
+    return {
+        campaign: null,
+        ad_id: null,
+        ad_title: null,
+        ad_source_type: null,
+        ad_source_url: null,
+        ctwa_clid: null,
+        click_id: null,
+        utm: UTM_FIELDS.reduce((utm, field) => ({ ...utm, [field]: null }), {}),
+        first_message: null,
+        captured_at: new Date().toISOString()
+    };
+}
+
+// UTMs embutidos na URL do anúncio (ex: https://fb.me/...?utm_campaign=x)
+function parseUtmFromUrl(url) {
+    const utm = {};
+    try {
+        const params = new URL(url).searchParams;
+        UTM_FIELDS.forEach(field => {
+            if (params.get(`utm_${field}`)) utm[field] = attributionValue(params.get(`utm_${field}`));
+        });
+    } catch (error) {
+        // URL inválida: sem UTMs
+    }
+    return utm;
+}
+
+// Corpo de /api/lead/new: utm_source... ou utm: {...}, campaign, ad_id, ctwa_clid, fbclid/gclid
+function buildAttributionFromRequest(body, firstMessage) {
+    const attribution = emptyAttribution();
+    
+    const utm = body.utm && typeof body.utm === 'object' ? body.utm : {};
+    UTM_FIELDS.forEach(field => {
+        attribution.utm[field] = attributionValue(body[`utm_${field}`]) || attributionValue(utm[field]);
+    });
+    attribution.campaign = attributionValue(body.campaign) || attribution.utm.campaign;
+    attribution.ad_id = attributionValue(body.ad_id);
+    attribution.ctwa_clid = attributionValue(body.ctwa_clid);
+    attribution.click_id = attributionValue(body.fbclid) || attributionValue(body.gclid) || attributionValue(body.click_id);
+    attribution.first_message = firstMessage || null;
+    
+    return attribution;
+}
+
+// Anúncio Click-to-WhatsApp: Baileys manda contextInfo.externalAdReply,
+// a API oficial manda referral. Retorna null quando a mensagem não veio de anúncio.
+function extractAdAttribution(messageData, firstMessage) {
+    const message = messageData.message || {};
+    const contextInfo = messageData.contextInfo
+        || message.extendedTextMessage?.contextInfo
+        || message.messageContextInfo
+        || Object.values(message).find(part => part && part.contextInfo)?.contextInfo
+        || {};
+    const adReply = contextInfo.externalAdReply;
+    const referral = messageData.referral || message.referral;
+    
+    if (!adReply && !referral) return null;
+    
+    const attribution = emptyAttribution();
+    const sourceUrl = adReply?.sourceUrl || referral?.source_url || null;
+    
+    attribution.ad_id = attributionValue(adReply?.sourceId || referral?.source_id);
+    attribution.ad_title = attributionValue(adReply?.title || referral?.headline);
+    attribution.ad_source_type = attributionValue(adReply?.sourceType || referral?.source_type);
+    attribution.ad_source_url = attributionValue(sourceUrl);
+    attribution.ctwa_clid = attributionValue(adReply?.ctwaClid || referral?.ctwa_clid);
+    attribution.utm = { ...attribution.utm, ...parseUtmFromUrl(sourceUrl) };
+    attribution.campaign = attribution.utm.campaign || null;
+    attribution.first_message = firstMessage || null;
+    
+    return attribution;
+}
+
+// Completa a atribuição existente sem sobrescrever o que já foi capturado
+function mergeAttribution(conversation, attribution) {
+    if (!attribution) return false;
+    if (!conversation.attribution) {
+        conversation.attribution = attribution;
+        return true;
+    }
+    
+    let changed = false;
+    Object.entries(attribution).forEach(([field, value]) => {
+        if (field === 'utm') {
+            UTM_FIELDS.forEach(utmField => {
+                if (!conversation.attribution.utm[utmField] && value[utmField]) {
+                    conversation.attribution.utm[utmField] = value[utmField];
+                    changed = true;
+                }
+            });
+        } else if (field !== 'captured_at' && !conversation.attribution[field] && value) {
+            conversation.attribution[field] = value;
+            changed = true;
+        }
+    });
+    return changed;
+}
+
+function hasAttributionData(attribution) {
+    return Boolean(attribution.campaign || attribution.ad_id || attribution.ctwa_clid || attribution.click_id
+        || UTM_FIELDS.some(field => attribution.utm[field]));
+}
+
+function getCampaign(conversation) {
+    const attribution = conversation.attribution;
+    return attribution ? attribution.campaign || attribution.utm.campaign || null : null;
+}
+
+// ============================================
+// LINKS RASTREADOS (REDIRECIONADOR)
+// ============================================
+// GET /r/:campanha?utm_source=... escolhe a instância pelo roteamento, grava o
+// clique e redireciona para wa.me/<número da instância> com uma mensagem que
+// contém um código curto. Quando a primeira mensagem chega no webhook, o código
+// liga a conversa ao clique (mesma instância, campanha e UTMs).
+const CLICK_TOKEN_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // sem 0/O e 1/I
+const CLICK_TOKEN_LENGTH = 6;
+
+function generateClickToken() {
+    let token;
+    do {
+        token = Array.from(crypto.randomBytes(CLICK_TOKEN_LENGTH))
+            .map(byte => CLICK_TOKEN_ALPHABET[byte % CLICK_TOKEN_ALPHABET.length])
+            .join('');
+    } while (redirectClicks.has(token));
+    return token;
+}
+
+function buildRedirectMessage(token, text) {
+    const template = text || REDIRECT_MESSAGE;
+    return template.includes('{token}') ? template.replace('{token}', token) : `${template} (${token})`;
+}
+
+function campaignLabel(campaign) {
+    return REDIRECT_CAMPAIGNS.includes(campaign) ? campaign : 'other';
+}
+
+// Janela fixa de um minuto por IP
+function isRedirectRateLimited(ip) {
+    const now = Date.now();
+    let entry = redirectRateLimits.get(ip);
+    if (!entry || now - entry.window_start > 60 * 1000) {
+        entry = { count: 0, window_start: now };
+        redirectRateLimits.set(ip, entry);
+    }
+    entry.count++;
+    return entry.count > REDIRECT_RATE_LIMIT;
+}
+
+function removeRedirectClick(token) {
+    redirectClicks.delete(token);
+    pendingClickTokens.delete(token);
+    unpersist('clicks', token);
+}
+
+function createRedirectClick(campaign, req) {
+    const { instance, routing } = pickInstance(null, i => Boolean(i.number));
+    
+    // Limite de cliques sem conversa: descarta o mais antigo (o redirecionamento segue funcionando)
+    if (pendingClickTokens.size >= REDIRECT_MAX_PENDING_CLICKS) {
+        const oldest = pendingClickTokens.values().next().value;
+        removeRedirectClick(oldest);
+        addLog('warning', `Limite de ${REDIRECT_MAX_PENDING_CLICKS} cliques pendentes atingido - clique ${oldest} descartado`);
+    }
+    
+    const token = generateClickToken();
+    const attribution = buildAttributionFromRequest({ ...req.query, campaign: campaign });
+    
+    const click = {
+        token: token,
+        campaign: campaign,
+        instance: instance.name,
+        number: instance.number,
+        routing: routing,
+        attribution: attribution,
+        referrer: attributionValue(req.get('referer')),
+        user_agent: attributionValue(req.get('user-agent')),
+        created_at: new Date().toISOString(),
+        phone: null,
+        matched_at: null
+    };
+    
+    redirectClicks.set(token, click);
+    pendingClickTokens.add(token);
+    persist('clicks', token, click);
+    incrementMetric('cerebro_redirect_clicks_total', { campaign: campaignLabel(campaign), instance: instance.name });
+    addLog('redirect', `Clique ${token} na campanha ${campaign} → ${instance.name}`);
+    
+    return click;
+}
+
+// Primeiro código válido (não usado e dentro da validade) presente no texto
+function findClickByMessage(text) {
+    const candidates = String(text || '').toUpperCase().match(/\b[A-Z0-9]{6}\b/g) || [];
+    const now = Date.now();
+    
+    for (const token of candidates) {
+        const click = redirectClicks.get(token);
+        if (click && !click.phone && now - new Date(click.created_at).getTime() < REDIRECT_CLICK_TTL) {
+            return click;
+        }
+    }
+    return null;
+}
+
+// Instância da conversa e atribuição da campanha. A mensagem chegou por uma
+// instância diferente da do clique: a conversa fica nela (é o número com que o
+// lead fala). Mesma instância, mas não mais disponível: volta ao roteamento normal.
+function linkClickToConversation(click, phone, receivedBy, firstMessage) {
+    click.phone = phone;
+    click.matched_at = new Date().toISOString();
+    pendingClickTokens.delete(click.token);
+    persist('clicks', click.token, click);
+    incrementMetric('cerebro_redirect_clicks_matched_total', { campaign: campaignLabel(click.campaign) });
+    
+    let assignment = null;
+    if (receivedBy && receivedBy !== click.instance && instances.has(receivedBy)) {
+        addLog('warning', `Clique ${click.token} era para ${click.instance} mas a mensagem chegou por ${receivedBy}`);
+        assignment = {
+            instance: instances.get(receivedBy),
+            routing: { strategy: 'redirect', reason: `clique ${click.token}: mensagem recebida por ${receivedBy}` }
+        };
+    } else if (getAvailableInstances().some(i => i.name === click.instance)) {
+        assignment = {
+            instance: instances.get(click.instance),
+            routing: { strategy: 'redirect', reason: `clique ${click.token} (${click.routing.strategy}: ${click.routing.reason})` }
+        };
+    } else {
+        addLog('warning', `Instância ${click.instance} do clique ${click.token} não está disponível - usando roteamento normal`);
+    }
+    
+    return {
+        assignment: assignment,
+        attribution: { ...click.attribution, click_token: click.token, first_message: firstMessage, captured_at: click.created_at }
+    };
+}
+
+function cleanupRedirectClicks() {
+    const now = Date.now();
+    
+    for (const [token, click] of redirectClicks.entries()) {
+        if (now - new Date(click.created_at).getTime() > Math.max(REDIRECT_CLICK_TTL, DATA_RETENTION_TIME)) {
+            removeRedirectClick(token);
+        }
+    }
+    
+    for (const [ip, entry] of redirectRateLimits.entries()) {
+        if (now - entry.window_start > 60 * 1000) {
+            redirectRateLimits.delete(ip);
+        }
+    }
+}
+
+// ============================================
+// AUTENTICAÇÃO
+// ============================================
+// Papéis: readonly (só GET), n8n (operação) e admin (tudo).
+// Sem chaves nem DASHBOARD_PASSWORD a API fica aberta, como antes. Com qualquer
+// um dos dois configurado, /api/* exige chave válida ou sessão do dashboard.
+const API_KEYS = new Map();
+[['admin', API_KEYS_ADMIN], ['n8n', API_KEYS_N8N], ['readonly', API_KEYS_READONLY]].forEach(([role, keys]) => {
+    keys.split(',').map(k => k.trim()).filter(Boolean).forEach(key => API_KEYS.set(key, role));
+});
+
+const ROLE_LEVELS = { readonly: 1, n8n: 2, admin: 3 };
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+function getDashboardSession(req) {
+    const token = parseCookies(req).cerebro_session;
+    const session = token && dashboardSessions.get(token);
+    
+    if (!session) return null;
+    if (session.expires_at < Date.now()) {
+        dashboardSessions.delete(token);
+        return null;
+    }
+    return session;
+}
+
+function rejectRequest(req, res, status, reason) {
+    // Query string pode conter o segredo do webhook: não vai para o log
+    addLog('auth', `Acesso negado a ${req.method} ${req.originalUrl.split('?')[0]}: ${reason}`, { ip: req.ip });
+    res.status(status).json({ success: false, error: reason });
+}
+
+// Identifica quem chama /api/* (chave de API ou sessão do dashboard)
+function authenticateApi(req, res, next) {
+    if (API_KEYS.size === 0 && !DASHBOARD_PASSWORD) {
+        req.auth = { role: 'admin', source: 'open' };
+        return next();
+    }
+    
+    const header = req.headers.authorization || '';
+    const apiKey = req.headers['x-api-key'] || (header.startsWith('Bearer ') ? header.slice(7) : null);
+    
+    if (apiKey) {
+        const role = API_KEYS.get(apiKey);
+        if (!role) {
+            return rejectRequest(req, res, 401, 'Chave de API inválida');
+        }
+        req.auth = { role: role, source: 'api_key' };
+    } else if (getDashboardSession(req)) {
+        req.auth = { role: 'admin', source: 'session' };
+    } else {
+        return rejectRequest(req, res, 401, 'Chave de API ausente');
+    }
+    
+    // Chaves somente leitura não alteram nada
+    if (req.method !== 'GET' && ROLE_LEVELS[req.auth.role] < ROLE_LEVELS.n8n) {
+        return rejectRequest(req, res, 403, `Papel '${req.auth.role}' não pode executar ${req.method}`);
+    }
+    
+    next();
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.auth || ROLE_LEVELS[req.auth.role] < ROLE_LEVELS[role]) {
+            return rejectRequest(req, res, 403, `Requer papel '${role}'`);
+        }
+        next();
+    };
+}
+
+// Limite de logins inválidos por IP (força bruta na senha do dashboard)
+function isLoginBlocked(ip) {
+    const attempts = loginAttempts.get(ip);
+    return Boolean(attempts && attempts.blocked_until > Date.now());
+}
+
+function recordLoginFailure(ip) {
+    const now = Date.now();
+    let attempts = loginAttempts.get(ip);
+    if (!attempts || now - attempts.first_at > LOGIN_BLOCK_TIME) {
+        attempts = { count: 0, first_at: now, blocked_until: 0 };
+    }
+    
+    attempts.count++;
+    if (attempts.count >= LOGIN_MAX_ATTEMPTS) {
+        attempts.blocked_until = now + LOGIN_BLOCK_TIME;
+        addLog('auth', `Login do dashboard bloqueado para ${ip} após ${attempts.count} tentativas`);
+    }
+    loginAttempts.set(ip, attempts);
+}
+
+function cleanupLoginAttempts() {
+    const now = Date.now();
+    for (const [ip, attempts] of loginAttempts.entries()) {
+        if (attempts.blocked_until < now && now - attempts.first_at > LOGIN_BLOCK_TIME) {
+            loginAttempts.delete(ip);
+        }
+    }
+}
+
+// Dashboard exige login apenas quando DASHBOARD_PASSWORD está definido
+function requireDashboardLogin(req, res, next) {
+    if (!DASHBOARD_PASSWORD || getDashboardSession(req)) {
+        return next();
+    }
+    res.redirect('/login');
+}
+
+// Aceita segredo compartilhado (header X-Webhook-Secret ou ?secret=)
+// ou assinatura HMAC-SHA256 do corpo em X-Hub-Signature-256
+function verifyEvolutionWebhook(req, res, next) {
+    if (!EVOLUTION_WEBHOOK_SECRET) return next();
+    
+    const secret = req.headers['x-webhook-secret'] || req.query.secret;
+    if (secret && safeEqual(secret, EVOLUTION_WEBHOOK_SECRET)) {
+        return next();
+    }
+    
+    const signature = req.headers['x-hub-signature-256'];
+    if (signature && req.rawBody) {
+        const expected = 'sha256=' + crypto
+            .createHmac('sha256', EVOLUTION_WEBHOOK_SECRET)
+            .update(req.rawBody)
+            .digest('hex');
+        if (safeEqual(signature, expected)) {
+            return next();
+        }
+        return rejectRequest(req, res, 401, 'Assinatura do webhook inválida');
+    }
+    
+    rejectRequest(req, res, 401, secret ? 'Segredo do webhook inválido' : 'Webhook sem segredo ou assinatura');
+}
+
+app.use('/api', authenticateApi);
 
 // ============================================
-// COMUNICAÇÃO COM N8N
+// CONSULTAS PAGINADAS
 // ============================================
-async function notifyN8N(data) {
+// Paginação por cursor: o cursor guarda o valor de ordenação e o id do último
+// item da página, então inserções novas não deslocam as páginas seguintes.
+function encodeCursor(value, id) {
+    return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
     try {
-        const payload = {
-            ...data,
-            timestamp: new Date().toISOString(),
-            brazil_time: getBrazilTime()
-        };
-        
-        const response = await axios.post(N8N_WEBHOOK_URL, payload, {
-            headers: { 'Content-Type': 'application/json' },
-            timeout: 10000
-        });
-        
-        addLog('n8n', `Evento '${data.event}' enviado para N8N`, payload);
-        return { success: true, response: response.data };
-        
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return { value, id };
     } catch (error) {
-        addLog('error', `Falha ao notificar N8N: ${error.message}`, error);
-        return { success: false, error: error.message };
+        return null;
+    }
+}
+
+function parseLimit(value, fallback = 50, max = 200) {
+    return Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+}
+
+// Data de filtro (?from= / ?to=): ISO ou timestamp; undefined se ausente, null se inválida
+function parseDateParam(value) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    return a < b ? -1 : 1;
+}
+
+// items: lista já filtrada; sortValue(item) e idOf(item) definem a ordem estável
+function paginate(items, { sortValue, idOf, order = 'desc', limit = 50, cursor = null }) {
+    const direction = order === 'asc' ? 1 : -1;
+    const sorted = items
+        .map(item => ({ item, value: sortValue(item), id: idOf(item) }))
+        .sort((a, b) => direction * (compareValues(a.value, b.value) || compareValues(a.id, b.id)));
+    
+    let start = 0;
+    if (cursor) {
+        start = sorted.findIndex(entry =>
+            direction * (compareValues(entry.value, cursor.value) || compareValues(entry.id, cursor.id)) > 0
+        );
+        if (start < 0) start = sorted.length;
+    }
+    
+    const page = sorted.slice(start, start + limit);
+    const last = page[page.length - 1];
+    
+    return {
+        total: sorted.length,
+        items: page.map(entry => entry.item),
+        next_cursor: start + limit < sorted.length && last ? encodeCursor(last.value, last.id) : null
+    };
+}
+
+// Lê limit, cursor, order e from/to comuns às consultas. Devolve { error } se algo for inválido.
+function parseListQuery(query) {
+    const from = parseDateParam(query.from);
+    const to = parseDateParam(query.to);
+    const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+    
+    if (from === null || to === null) {
+        return { error: 'from/to devem ser datas ISO ou timestamps' };
+    }
+    if (query.cursor && !cursor) {
+        return { error: 'cursor inválido' };
+    }
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+        return { error: 'order deve ser asc ou desc' };
     }
+    
+    return {
+        limit: parseLimit(query.limit),
+        cursor: cursor,
+        order: query.order || 'desc',
+        from: from,
+        to: to,
+        search: query.q ? String(query.q).toLowerCase() : null
+    };
+}
+
+function inDateRange(value, from, to) {
+    const time = value ? new Date(value).getTime() : NaN;
+    if (from && !(time >= from.getTime())) return false;
+    if (to && !(time <= to.getTime())) return false;
+    return true;
+}
+
+function matchesSearch(search, ...fields) {
+    return !search || fields.some(field => field && String(field).toLowerCase().includes(search));
 }
 
 // ============================================
@@ -362,17 +4224,38 @@ async function notifyN8N(data) {
 // Recebe novo lead (do anúncio ou redirecionador)
 app.post('/api/lead/new', async (req, res) => {
     try {
-        const { phone, name = 'Cliente', message = '', source = 'ads' } = req.body;
+        const { name = 'Cliente', message = '', source = 'ads', flow_id = null } = req.body;
         
-        if (!phone) {
+        if (!req.body.phone) {
             return res.status(400).json({ success: false, error: 'Telefone obrigatório' });
         }
         
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({ success: false, error: `Telefone inválido: ${req.body.phone}` });
+        }
+        
+        if (flow_id && !flows.has(flow_id)) {
+            return res.status(400).json({ success: false, error: `Fluxo não encontrado: ${flow_id}` });
+        }
+        
+        if (isSuppressed(phone)) {
+            addLog('info', `Lead ${phone} recusado - lista de supressão`);
+            return res.status(403).json({ success: false, status: 'suppressed', error: 'Telefone na lista de supressão (opt-out)' });
+        }
+        
+        const attribution = buildAttributionFromRequest(req.body, message);
+        
         // Verifica se já existe conversa
         if (conversationState.has(phone)) {
             const existing = conversationState.get(phone);
             addLog('info', `Lead ${phone} já tem conversa ativa`);
             
+            // Ex: lead escreveu antes do redirecionador avisar; os UTMs completam a conversa
+            if (hasAttributionData(attribution) && mergeAttribution(existing, attribution)) {
+                persistConversation(existing);
+            }
+            
             return res.json({
                 success: true,
                 status: 'existing',
@@ -385,7 +4268,7 @@ app.post('/api/lead/new', async (req, res) => {
         }
         
         // Cria nova conversa
-        const conversation = createConversation(phone, name, source);
+        const conversation = createConversation(phone, name, source, attribution);
         
         // Notifica N8N para iniciar fluxo
         await notifyN8N({
@@ -395,185 +4278,1085 @@ app.post('/api/lead/new', async (req, res) => {
             instance: conversation.instance,
             instance_id: conversation.instance_id,
             initial_message: message,
-            source: source
+            source: source,
+            attribution: attribution,
+            routing: conversation.routing,
+            flow: flow_id
         });
         
+        if (flow_id) {
+            startFlow(phone, flow_id);
+        }
+        
         res.json({
             success: true,
             status: 'created',
             conversation: {
                 phone: phone,
                 instance: conversation.instance,
-                instance_id: conversation.instance_id
+                instance_id: conversation.instance_id,
+                flow: flow_id
             }
         });
         
     } catch (error) {
         addLog('error', `Erro ao criar lead: ${error.message}`, error);
+        res.status(error.code === 'no_instance' ? 503 : 500).json({ success: false, error: error.message });
+    }
+});
+
+// Ativar checkpoint (chamado pelo N8N)
+app.post('/api/checkpoint/activate', async (req, res) => {
+    try {
+        const { checkpoint_name, timeout_minutes = 1440, accept, max_retries, reprompt, follow_ups, business_time } = req.body;
+        
+        if (!req.body.phone || !checkpoint_name) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'phone e checkpoint_name são obrigatórios' 
+            });
+        }
+        
+        const phone = normalizePhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({ success: false, error: `Telefone inválido: ${req.body.phone}` });
+        }
+        
+        const ruleErrors = validateReplyRules(accept);
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Regras de resposta inválidas', errors: ruleErrors });
+        }
+        
+        const followUpErrors = validateFollowUps(follow_ups, timeout_minutes);
+        if (followUpErrors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Lembretes inválidos', errors: followUpErrors });
+        }
+        
+        const result = activateCheckpoint(phone, checkpoint_name, { timeout_minutes, accept, max_retries, reprompt, follow_ups, business_time });
+        
+        if (!result.success) {
+            return res.status(result.suppressed ? 403 : result.conflict ? 409 : 404).json(result);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        addLog('error', `Erro ao ativar checkpoint: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Enviar mensagem para o lead pela instância atribuída
+app.post('/api/message/send', async (req, res) => {
+    try {
+        const { phone: rawPhone, ...payload } = req.body;
+        
+        if (!rawPhone) {
+            return res.status(400).json({ success: false, error: 'Telefone obrigatório' });
+        }
+        
+        const phone = normalizePhone(rawPhone);
+        if (!phone) {
+            return res.status(400).json({ success: false, error: `Telefone inválido: ${rawPhone}` });
+        }
+        
+        const result = await sendMessage(phone, payload);
+        
+        if (!result.success) {
+            const { status, ...body } = result;
+            return res.status(status).json(body);
+        }
+        
+        res.json(result);
+        
+    } catch (error) {
+        addLog('error', `Erro ao enviar mensagem: ${error.message}`, error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Telefone na URL segue a mesma normalização das chaves
+app.param('phone', (req, res, next, value) => {
+    const phone = normalizePhone(value);
+    if (!phone) {
+        return res.status(400).json({ success: false, error: `Telefone inválido: ${value}` });
+    }
+    req.params.phone = phone;
+    next();
+});
+
+// Consultar status de conversa
+app.get('/api/conversation/:phone', (req, res) => {
+    const { phone } = req.params;
+    const conversation = conversationState.get(phone);
+    
+    if (!conversation) {
+        return res.status(404).json({ success: false, error: 'Conversa não encontrada' });
+    }
+    
+    res.json({
+        success: true,
+        conversation: {
+            ...conversation,
+            checkpoints_count: conversation.checkpoints.length
+        }
+    });
+});
+
+// Histórico de mensagens da conversa (?limit=50&before=<cursor>)
+app.get('/api/conversation/:phone/messages', (req, res) => {
+    const { phone } = req.params;
+    
+    if (!conversationState.has(phone)) {
+        return res.status(404).json({ success: false, error: 'Conversa não encontrada' });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const before = parseInt(req.query.before, 10) || null;
+    
+    res.json({ success: true, phone: phone, ...getMessagesPage(phone, limit, before) });
+});
+
+// Webhook Evolution - Recebe TODAS mensagens
+app.post('/webhook/evolution', verifyEvolutionWebhook, async (req, res) => {
+    let dedupKey = null;
+    
+    try {
+        const data = req.body;
+        
+        // Eventos de conexão (CONNECTION_UPDATE ou connection.update)
+        const event = String(data.event || '').toLowerCase().replace(/_/g, '.');
+        if (event === 'connection.update' || event === 'qrcode.updated') {
+            handleConnectionWebhook(event, data);
+            return res.status(200).json({ success: true, status: 'connection_event' });
+        }
+        
+        // Valida estrutura
+        const messageData = data.data;
+        if (!messageData || !messageData.key) {
+            return res.status(200).json({ success: true });
+        }
+        
+        incrementMetric('cerebro_webhook_messages_received_total', { instance: instanceLabel(data.instance) });
+        
+        // Ignora reentregas da mesma mensagem
+        dedupKey = getMessageDedupKey(data);
+        if (dedupKey && checkAndMarkMessage(dedupKey)) {
+            duplicateWebhooks++;
+            persistCounters();
+            incrementMetric('cerebro_webhook_messages_ignored_total', { reason: 'duplicate' });
+            addLog('info', `Webhook duplicado ignorado: ${dedupKey}`);
+            return res.status(200).json({ success: true, status: 'duplicate' });
+        }
+        
+        // Extrai dados
+        const remoteJid = messageData.key.remoteJid;
+        const fromMe = messageData.key.fromMe;
+        const inbound = normalizeEvolutionMessage(messageData);
+        const messageContent = getMessageText(inbound);
+        const sender = resolveSenderPhone(messageData.key);
+        
+        // Grupos: ignorados ou repassados ao N8N, nunca viram conversa de lead
+        if (sender.type === 'group') {
+            if (GROUP_MESSAGE_POLICY !== 'forward' || fromMe || isEmptyMessage(inbound)) {
+                incrementMetric('cerebro_webhook_messages_ignored_total', { reason: 'group' });
+                return res.status(200).json({ success: true, status: 'group_ignored' });
+            }
+            await notifyN8N({
+                event: 'group_message',
+                group: remoteJid,
+                participant: normalizePhone(messageData.key.participant),
+                message: messageContent,
+                message_type: inbound.type,
+                media: inbound.media,
+                push_name: inbound.push_name,
+                instance: data.instance
+            });
+            return res.status(200).json({ success: true, status: 'group_forwarded' });
+        }
+        
+        // Status, listas de transmissão, canais e @lid sem número não são leads
+        if (!sender.phone) {
+            incrementMetric('cerebro_webhook_messages_ignored_total', { reason: sender.type });
+            addLog('info', `Mensagem de ${remoteJid} ignorada (${sender.type})`);
+            return res.status(200).json({ success: true, status: `${sender.type}_ignored` });
+        }
+        
+        const phone = sender.phone;
+        
+        // Mensagens do bot não são processadas, só entram no histórico
+        if (fromMe) {
+            if (conversationState.has(phone) && !isEmptyMessage(inbound)) {
+                recordInboundMessage(phone, inbound, 'outbound');
+            }
+            incrementMetric('cerebro_webhook_messages_ignored_total', { reason: 'from_me' });
+            return res.status(200).json({ success: true });
+        }
+        
+        // Ignora mensagens vazias
+        if (isEmptyMessage(inbound)) {
+            incrementMetric('cerebro_webhook_messages_ignored_total', { reason: 'empty' });
+            return res.status(200).json({ success: true });
+        }
+        
+        // Log da mensagem recebida
+        addLog('evolution', `Mensagem (${inbound.type}) de ${phone}: "${messageContent.substring(0, 50)}..."`);
+        
+        // Lista de supressão: só entra no histórico, nada é processado
+        if (isSuppressed(phone)) {
+            if (conversationState.has(phone)) {
+                recordInboundMessage(phone, inbound);
+            }
+            incrementMetric('cerebro_webhook_messages_ignored_total', { reason: 'suppressed' });
+            return res.status(200).json({ success: true, status: 'suppressed' });
+        }
+        
+        // Pedido de opt-out (SAIR, PARAR, STOP...) antes de qualquer outra lógica
+        const optOutKeyword = getOptOutKeyword(inbound);
+        if (optOutKeyword) {
+            if (conversationState.has(phone)) {
+                recordInboundMessage(phone, inbound);
+            }
+            await handleOptOut(phone, inbound, optOutKeyword);
+            return res.status(200).json({ success: true, status: 'opted_out' });
+        }
+        
+        // NOVA LÓGICA: Verifica se é lead novo (número desconhecido)
+        if (!conversationState.has(phone)) {
+            // CRIA LEAD AUTOMATICAMENTE (anúncio Click-to-WhatsApp vira origem 'ctwa_ad',
+            // código de link rastreado vira 'redirect' com a instância escolhida no clique)
+            const click = findClickByMessage(messageContent);
+            const clickLink = click ? linkClickToConversation(click, phone, data.instance, messageContent) : null;
+            const adAttribution = extractAdAttribution(messageData, messageContent);
+            const source = click ? 'redirect' : adAttribution ? 'ctwa_ad' : 'whatsapp_direto';
+            const attribution = clickLink ? clickLink.attribution
+                : adAttribution || { ...emptyAttribution(), first_message: messageContent };
+            const conversation = createConversation(phone, 'Cliente', source, attribution, clickLink && clickLink.assignment);
+            recordInboundMessage(phone, inbound);
+            rememberWhatsAppNumber(phone, sender);
+            const flowId = DEFAULT_FLOW_ID && flows.has(DEFAULT_FLOW_ID) ? DEFAULT_FLOW_ID : null;
+            
+            addLog('auto_lead', `Lead criado automaticamente: ${phone}`, {
+                phone: phone,
+                initial_message: messageContent,
+                instance: conversation.instance
+            });
+            
+            // Notifica N8N como new_lead para iniciar o fluxo
+            await notifyN8N({
+                event: 'new_lead',
+                phone: phone,
+                name: 'Cliente',
+                instance: conversation.instance,
+                instance_id: conversation.instance_id,
+                initial_message: messageContent,
+                message_type: inbound.type,
+                message: inbound,
+                source: source,
+                attribution: attribution,
+                click: click ? { token: click.token, campaign: click.campaign, clicked_at: click.created_at } : null,
+                routing: conversation.routing,
+                flow: flowId
+            });
+            
+            if (flowId) {
+                startFlow(phone, flowId);
+            }
+            
+            return res.status(200).json({ success: true, status: 'new_lead_created' });
+        }
+        
+        recordInboundMessage(phone, inbound);
+        rememberWhatsAppNumber(phone, sender);
+        
+        // Conversa sem checkpoint pendente: aplica a política de respostas tardias
+        if (!conversationState.get(phone).waiting_response) {
+            const action = await handleLateReply(phone, inbound);
+            return res.status(200).json({ success: true, status: action });
+        }
+        
+        // LÓGICA EXISTENTE: Processa resposta de checkpoint se houver conversa ativa
+        await handleCheckpointReply(phone, inbound);
+        
+        res.status(200).json({ success: true });
+        
+    } catch (error) {
+        // Reenviar não resolve a falta de instância: responde 200 para a Evolution parar
+        if (error.code === 'no_instance') {
+            incrementMetric('cerebro_webhook_messages_ignored_total', { reason: 'no_instance' });
+            addLog('error', `Mensagem do webhook descartada: ${error.message}`);
+            return res.status(200).json({ success: true, status: 'no_instance' });
+        }
+        
+        // Libera a mensagem para que a reentrega da Evolution seja processada
+        if (dedupKey) unmarkMessage(dedupKey);
+        
+        addLog('error', `Erro no webhook Evolution: ${error.message}`, error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Ativar checkpoint (chamado pelo N8N)
-app.post('/api/checkpoint/activate', async (req, res) => {
+// Listar fluxos cadastrados
+app.get('/api/flows', (req, res) => {
+    res.json({ success: true, flows: Array.from(flows.values()) });
+});
+
+// Consultar fluxo (versão atual ou ?version=N)
+app.get('/api/flows/:id', (req, res) => {
+    const { id } = req.params;
+    const flow = req.query.version
+        ? flowVersions.get(`${id}@${req.query.version}`)
+        : flows.get(id);
+    
+    if (!flow) {
+        return res.status(404).json({ success: false, error: 'Fluxo não encontrado' });
+    }
+    
+    res.json({ success: true, flow: flow });
+});
+
+// Histórico de versões de um fluxo
+app.get('/api/flows/:id/versions', (req, res) => {
+    const versions = Array.from(flowVersions.values())
+        .filter(f => f.id === req.params.id)
+        .sort((a, b) => a.version - b.version)
+        .map(f => ({ version: f.version, origin: f.origin, updated_at: f.updated_at }));
+    
+    if (versions.length === 0) {
+        return res.status(404).json({ success: false, error: 'Fluxo não encontrado' });
+    }
+    
+    res.json({ success: true, id: req.params.id, versions: versions });
+});
+
+// Criar fluxo
+app.post('/api/flows', requireRole('admin'), (req, res) => {
+    if (req.body && flows.has(req.body.id)) {
+        return res.status(409).json({ success: false, error: 'Fluxo já existe, use PUT para nova versão' });
+    }
+    
+    const result = saveFlow(req.body);
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+    
+    res.status(201).json(result);
+});
+
+// Atualizar fluxo (gera nova versão)
+app.put('/api/flows/:id', requireRole('admin'), (req, res) => {
+    if (!flows.has(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Fluxo não encontrado' });
+    }
+    
+    const result = saveFlow({ ...req.body, id: req.params.id });
+    if (!result.success) {
+        return res.status(400).json(result);
+    }
+    
+    res.json(result);
+});
+
+// Remover fluxo
+app.delete('/api/flows/:id', requireRole('admin'), (req, res) => {
+    if (!deleteFlow(req.params.id)) {
+        return res.status(404).json({ success: false, error: 'Fluxo não encontrado' });
+    }
+    
+    res.json({ success: true, message: `Fluxo ${req.params.id} removido` });
+});
+
+// Mudar status da conversa ({ status: converted|lost|human_takeover|closed|active, reason, by, value })
+app.post('/api/conversation/:phone/status', (req, res) => {
+    const { status, reason, by, value } = req.body;
+    
+    if (!status) {
+        return res.status(400).json({ success: false, error: 'status é obrigatório' });
+    }
+    if (value !== undefined && !(typeof value === 'number' && value >= 0)) {
+        return res.status(400).json({ success: false, error: 'value deve ser um número positivo' });
+    }
+    
+    const result = changeConversationStatus(req.params.phone, status, {
+        reason: reason,
+        by: by || req.auth.role,
+        value: value
+    });
+    
+    if (!result.success) {
+        return res.status(result.not_found ? 404 : result.invalid ? 400 : 409).json(result);
+    }
+    
+    res.json(result);
+});
+
+// Encerrar conversa ({ reason })
+app.post('/api/conversation/:phone/close', (req, res) => {
+    const result = changeConversationStatus(req.params.phone, 'closed', {
+        reason: req.body.reason,
+        by: req.body.by || req.auth.role
+    });
+    
+    if (!result.success) {
+        return res.status(result.not_found ? 404 : 409).json(result);
+    }
+    
+    res.json(result);
+});
+
+// Iniciar fluxo para conversa existente
+app.post('/api/conversation/:phone/flow', (req, res) => {
+    const { flow_id } = req.body;
+    
+    if (!flow_id) {
+        return res.status(400).json({ success: false, error: 'flow_id é obrigatório' });
+    }
+    
+    const result = startFlow(req.params.phone, flow_id);
+    if (!result.success) {
+        return res.status(404).json(result);
+    }
+    
+    res.json(result);
+});
+
+// Eventos N8N que esgotaram as tentativas
+app.get('/api/events/failed', (req, res) => {
+    const events = Array.from(failedEvents.values())
+        .sort((a, b) => new Date(b.failed_at) - new Date(a.failed_at));
+    
+    res.json({ success: true, total: events.length, pending_retries: eventQueue.size, events: events });
+});
+
+// Reenviar toda a dead-letter ({ event } opcional filtra pelo tipo). Antes de /:id/retry
+app.post('/api/events/failed/retry', requireRole('admin'), (req, res) => {
+    const eventName = req.body && req.body.event ? String(req.body.event) : null;
+    const queued = retryAllFailedEvents(eventName);
+    res.json({ success: true, queued: queued, remaining: failedEvents.size });
+});
+
+// Reenviar evento da dead-letter
+app.post('/api/events/:id/retry', requireRole('admin'), async (req, res) => {
     try {
-        const { phone, checkpoint_name, timeout_minutes = 1440 } = req.body;
-        
-        if (!phone || !checkpoint_name) {
-            return res.status(400).json({ 
-                success: false, 
-                error: 'phone e checkpoint_name são obrigatórios' 
-            });
-        }
+        const result = await retryFailedEvent(req.params.id);
         
-        const result = activateCheckpoint(phone, checkpoint_name, { timeout_minutes });
-        
-        if (!result.success) {
-            return res.status(404).json(result);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Evento não encontrado na lista de falhas' });
         }
         
         res.json(result);
         
     } catch (error) {
-        addLog('error', `Erro ao ativar checkpoint: ${error.message}`, error);
+        addLog('error', `Erro ao reenviar evento: ${error.message}`, error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Consultar status de conversa
-app.get('/api/conversation/:phone', (req, res) => {
-    const { phone } = req.params;
-    const conversation = conversationState.get(phone);
+// Listar instâncias cadastradas
+app.get('/api/instances', (req, res) => {
+    res.json({
+        success: true,
+        instances: listInstances().map(instance => ({
+            ...publicInstance(instance),
+            stats: instanceStats.get(instance.name) || null
+        }))
+    });
+});
+
+// Consultar instância
+app.get('/api/instances/:name', (req, res) => {
+    const instance = instances.get(req.params.name);
+    if (!instance) {
+        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+    }
     
-    if (!conversation) {
-        return res.status(404).json({ success: false, error: 'Conversa não encontrada' });
+    res.json({
+        success: true,
+        instance: publicInstance(instance),
+        stats: instanceStats.get(instance.name) || null,
+        active_conversations: getInstanceConversations(instance.name).length
+    });
+});
+
+// Linha do tempo de conexão da instância
+app.get('/api/instances/:name/health', (req, res) => {
+    const instance = instances.get(req.params.name);
+    if (!instance) {
+        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
     }
     
+    const stats = instanceStats.get(instance.name) || {};
     res.json({
         success: true,
-        conversation: {
-            ...conversation,
-            checkpoints_count: conversation.checkpoints.length
-        }
+        instance: instance.name,
+        connection_state: stats.connection_state || null,
+        connection_down: stats.connection_down || false,
+        checked_at: stats.connection_checked_at || null,
+        timeline: instanceHealth.get(instance.name) || []
     });
 });
 
-// Webhook Evolution - Recebe TODAS mensagens
-app.post('/webhook/evolution', async (req, res) => {
-    try {
-        const data = req.body;
-        
-        // Valida estrutura
-        const messageData = data.data;
-        if (!messageData || !messageData.key) {
-            return res.status(200).json({ success: true });
-        }
-        
-        // Extrai dados
-        const remoteJid = messageData.key.remoteJid;
-        const fromMe = messageData.key.fromMe;
-        const messageContent = messageData.message?.conversation || 
-                              messageData.message?.extendedTextMessage?.text || '';
-        
-        // Remove sufixo do WhatsApp
-        const phone = remoteJid.replace('@s.whatsapp.net', '');
-        
-        // Ignora mensagens do bot
-        if (fromMe) {
-            return res.status(200).json({ success: true });
+// Cadastrar instância
+app.post('/api/instances', requireRole('admin'), (req, res) => {
+    if (req.body.name && instances.has(req.body.name)) {
+        return res.status(409).json({ success: false, error: 'Instância já cadastrada' });
+    }
+    
+    const instance = buildInstance(req.body);
+    const errors = validateInstance(instance);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, errors: errors });
+    }
+    
+    saveInstance(instance);
+    addLog('instance', `Instância ${instance.name} cadastrada`);
+    
+    res.status(201).json({ success: true, instance: publicInstance(instance) });
+});
+
+// Atualizar instância (nome não muda)
+app.patch('/api/instances/:name', requireRole('admin'), (req, res) => {
+    const current = instances.get(req.params.name);
+    if (!current) {
+        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+    }
+    
+    const instance = buildInstance(req.body, current);
+    const errors = validateInstance(instance);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, errors: errors });
+    }
+    
+    saveInstance(instance);
+    addLog('instance', `Instância ${instance.name} atualizada`, Object.keys(req.body));
+    
+    res.json({ success: true, instance: publicInstance(instance) });
+});
+
+// Remover instância (?policy=reassign|drain|close quando há conversas ativas)
+app.delete('/api/instances/:name', requireRole('admin'), (req, res) => {
+    const { name } = req.params;
+    const policy = req.query.policy || req.body.policy;
+    
+    if (!instances.has(name)) {
+        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+    }
+    
+    if (policy && !INSTANCE_REMOVAL_POLICIES.includes(policy)) {
+        return res.status(400).json({ success: false, error: `Política inválida. Use: ${INSTANCE_REMOVAL_POLICIES.join(', ')}` });
+    }
+    
+    const activeConversations = getInstanceConversations(name).length;
+    if (activeConversations > 0 && !policy) {
+        return res.status(409).json({
+            success: false,
+            error: 'Instância tem conversas ativas: informe policy (reassign, drain ou close)',
+            active_conversations: activeConversations
+        });
+    }
+    
+    if (policy === 'reassign' && activeConversations > 0 && !listInstances().some(i => i.name !== name && isHealthyInstance(i))) {
+        return res.status(409).json({ success: false, error: 'Nenhuma outra instância saudável para receber as conversas' });
+    }
+    
+    const result = deleteInstance(name, policy);
+    res.json({ success: true, instance: name, policy: policy || null, ...result });
+});
+
+// Políticas para mensagens sem checkpoint pendente
+app.get('/api/late-replies/policy', (req, res) => {
+    res.json({ success: true, policies: lateReplyPolicies, actions: LATE_REPLY_ACTIONS });
+});
+
+// Atualizar políticas (chave = status da conversa ou 'default')
+app.put('/api/late-replies/policy', requireRole('admin'), (req, res) => {
+    const policies = req.body.policies || req.body;
+    const errors = validateLateReplyPolicies(policies);
+    
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: errors[0] });
+    }
+    
+    lateReplyPolicies = { ...policies };
+    persist('meta', 'lateReplyPolicies', lateReplyPolicies);
+    addLog('system', 'Políticas de respostas tardias atualizadas', lateReplyPolicies);
+    
+    res.json({ success: true, policies: lateReplyPolicies });
+});
+
+// Horário comercial, feriados e horário de silêncio
+app.get('/api/schedule', (req, res) => {
+    const now = new Date();
+    const quietEnd = getQuietHoursEnd(now);
+    
+    res.json({
+        success: true,
+        timezone: TIMEZONE,
+        config: scheduleConfig,
+        now: {
+            local_time: getBrazilTime(),
+            business_hours: isBusinessTime(now),
+            quiet_hours: !!quietEnd,
+            quiet_until: quietEnd
         }
-        
-        // Ignora mensagens vazias
-        if (!messageContent.trim()) {
-            return res.status(200).json({ success: true });
+    });
+});
+
+app.put('/api/schedule', requireRole('admin'), (req, res) => {
+    const errors = validateScheduleConfig(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Configuração de horários inválida', errors: errors });
+    }
+    
+    const { business_hours, holidays, quiet_hours, business_time_timeouts } = req.body;
+    scheduleConfig = {
+        business_hours: business_hours !== undefined ? business_hours : scheduleConfig.business_hours,
+        holidays: holidays !== undefined ? holidays : scheduleConfig.holidays,
+        quiet_hours: quiet_hours !== undefined ? quiet_hours || '' : scheduleConfig.quiet_hours,
+        business_time_timeouts: business_time_timeouts !== undefined ? Boolean(business_time_timeouts) : scheduleConfig.business_time_timeouts
+    };
+    persist('meta', 'schedule', scheduleConfig);
+    addLog('system', 'Horários de atendimento atualizados', scheduleConfig);
+    
+    res.json({ success: true, config: scheduleConfig });
+});
+
+// Quando um checkpoint expiraria (?timeout_minutes=60&business_time=true&from=<ISO>)
+// ou, com ?phone=, quando expira o checkpoint pendente da conversa
+app.get('/api/schedule/preview', (req, res) => {
+    if (req.query.phone) {
+        const conversation = conversationState.get(normalizePhone(req.query.phone));
+        if (!conversation || !conversation.waiting_response) {
+            return res.status(404).json({ success: false, error: 'Conversa sem checkpoint pendente' });
         }
         
-        // Log da mensagem recebida
-        addLog('evolution', `Mensagem de ${phone}: "${messageContent.substring(0, 50)}..."`);
-        
-        // NOVA LÓGICA: Verifica se é lead novo (número desconhecido)
-        if (!conversationState.has(phone)) {
-            // CRIA LEAD AUTOMATICAMENTE
-            const conversation = createConversation(phone, 'Cliente', 'whatsapp_direto');
-            
-            addLog('auto_lead', `Lead criado automaticamente: ${phone}`, {
-                phone: phone,
-                initial_message: messageContent,
-                instance: conversation.instance
-            });
-            
-            // Notifica N8N como new_lead para iniciar o fluxo
-            await notifyN8N({
-                event: 'new_lead',
-                phone: phone,
-                name: 'Cliente',
-                instance: conversation.instance,
-                instance_id: conversation.instance_id,
-                initial_message: messageContent,
-                source: 'whatsapp_direto'
-            });
-            
-            return res.status(200).json({ success: true, status: 'new_lead_created' });
+        return res.json({
+            success: true,
+            phone: conversation.phone,
+            checkpoint: conversation.current_checkpoint,
+            activated_at: conversation.checkpoint_activated_at,
+            timeout_minutes: conversation.checkpoint_timeout_minutes,
+            business_time: !!conversation.checkpoint_business_time,
+            expires_at: conversation.checkpoint_expires_at,
+            expires_at_local: new Date(conversation.checkpoint_expires_at).toLocaleString('pt-BR', { timeZone: TIMEZONE })
+        });
+    }
+    
+    const timeoutMinutes = Number(req.query.timeout_minutes || CHECKPOINT_TIMEOUT / 60000);
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const businessTime = req.query.business_time !== undefined
+        ? req.query.business_time === 'true'
+        : scheduleConfig.business_time_timeouts;
+    
+    if (!(timeoutMinutes > 0) || isNaN(from.getTime())) {
+        return res.status(400).json({ success: false, error: 'timeout_minutes deve ser positivo e from uma data válida' });
+    }
+    
+    const expiresAt = getCheckpointExpiry(from, timeoutMinutes, businessTime);
+    const quietEnd = getQuietHoursEnd(from);
+    
+    res.json({
+        success: true,
+        from: from,
+        timeout_minutes: timeoutMinutes,
+        business_time: businessTime,
+        expires_at: expiresAt,
+        expires_at_local: expiresAt.toLocaleString('pt-BR', { timeZone: TIMEZONE }),
+        first_send_at: quietEnd || from
+    });
+});
+
+// Lista de supressão (opt-out). ?format=csv exporta em CSV
+app.get('/api/suppression', requireRole('admin'), (req, res) => {
+    const entries = Array.from(suppressionList.values())
+        .sort((a, b) => new Date(b.added_at) - new Date(a.added_at));
+    
+    if (req.query.format === 'csv') {
+        const rows = entries.map(e => [e.phone, e.reason, e.source, e.keyword, e.added_at].map(toCsvField).join(','));
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="suppression.csv"');
+        return res.send(['phone,reason,source,keyword,added_at', ...rows].join('\n'));
+    }
+    
+    res.json({ success: true, total: entries.length, entries: entries });
+});
+
+// Importar telefones: { phones: ["5511...", { phone, reason }], reason }
+// Conversas existentes desses telefones passam a opted_out: timers param e o fluxo é encerrado
+app.post('/api/suppression', requireRole('admin'), (req, res) => {
+    const list = Array.isArray(req.body.phones) ? req.body.phones : [req.body.phone].filter(Boolean);
+    
+    if (list.length === 0) {
+        return res.status(400).json({ success: false, error: 'Informe phone ou phones' });
+    }
+    
+    const added = [];
+    const invalid = [];
+    list.forEach(item => {
+        const raw = typeof item === 'object' && item !== null ? item.phone : item;
+        const phone = normalizePhone(raw);
+        if (!phone) {
+            invalid.push(raw);
+            return;
         }
+        suppressPhone(phone, {
+            reason: (item && item.reason) || req.body.reason || 'manual',
+            source: 'import'
+        });
+        added.push(phone);
+    });
+    
+    addLog('system', `${added.length} telefone(s) adicionados à lista de supressão`, { invalid: invalid.length });
+    
+    res.json({ success: true, added: added.length, invalid: invalid, total: suppressionList.size });
+});
+
+// Remover da lista (o lead volta a poder receber mensagens). A conversa continua
+// opted_out; com ?reopen=true ela volta para 'active'. O fluxo encerrado não é
+// retomado: para isso, POST /api/conversation/:phone/flow
+app.delete('/api/suppression/:phone', requireRole('admin'), (req, res) => {
+    const { phone } = req.params;
+    const reopen = req.query.reopen === 'true' || (req.body && req.body.reopen === true);
+    
+    if (!unsuppressPhone(phone)) {
+        return res.status(404).json({ success: false, error: 'Telefone não está na lista de supressão' });
+    }
+    
+    addLog('system', `${phone} removido da lista de supressão`);
+    const response = { success: true, message: `${phone} removido da lista de supressão` };
+    
+    const conversation = conversationState.get(phone);
+    if (reopen && conversation && conversation.status === 'opted_out') {
+        const result = changeConversationStatus(phone, 'active', { reason: 'removido da lista de supressão', by: 'api' });
+        response.reopened = result.success && result.changed;
+        if (!result.success) response.reopen_error = result.error;
+    }
+    
+    res.json(response);
+});
+
+// Estratégia de roteamento e ocupação das instâncias
+app.get('/api/routing', (req, res) => {
+    res.json({
+        success: true,
+        strategy: routingStrategy,
+        available_strategies: Object.keys(ROUTING_STRATEGIES),
+        instances: listInstances().map(instance => {
+            const stats = instanceStats.get(instance.name);
+            const cap = getEffectiveDailyCap(instance);
+            return {
+                name: instance.name,
+                weight: instance.weight,
+                leads_today: getLeadsToday(stats),
+                daily_cap: cap === Infinity ? null : cap,
+                health_score: stats ? stats.health_score : null
+            };
+        })
+    });
+});
+
+// Trocar estratégia de roteamento
+app.put('/api/routing', requireRole('admin'), (req, res) => {
+    const { strategy } = req.body;
+    
+    if (!ROUTING_STRATEGIES[strategy]) {
+        return res.status(400).json({
+            success: false,
+            error: `Estratégia inválida. Use: ${Object.keys(ROUTING_STRATEGIES).join(', ')}`
+        });
+    }
+    
+    routingStrategy = strategy;
+    persist('meta', 'routing', { strategy: strategy });
+    addLog('routing', `Estratégia de roteamento alterada para ${strategy}`);
+    
+    res.json({ success: true, strategy: strategy });
+});
+
+// Endpoint para marcar instância como bloqueada
+// reassign: true move as conversas ativas para instâncias saudáveis
+app.post('/api/instance/block', requireRole('admin'), (req, res) => {
+    const { instance_name, reassign = false } = req.body;
+    
+    const instance = instances.get(instance_name);
+    if (!instance) {
+        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+    }
+    
+    instance.active = false;
+    instance.updated_at = new Date().toISOString();
+    saveInstance(instance);
+    updateInstanceStats(instance_name, 'blocked');
+    
+    addLog('warning', `Instância ${instance_name} marcada como bloqueada`);
+    
+    const response = { success: true, message: `Instância ${instance_name} bloqueada` };
+    
+    if (reassign) {
+        const conversations = getInstanceConversations(instance_name);
         
-        // LÓGICA EXISTENTE: Processa resposta de checkpoint se houver conversa ativa
-        const result = processCheckpointResponse(phone, messageContent);
-        
-        if (result.success) {
-            // Notifica N8N que checkpoint foi passado
-            await notifyN8N({
-                event: 'checkpoint_passed',
-                phone: phone,
-                checkpoint: result.checkpoint,
-                response: result.response,
-                instance: result.instance
-            });
+        const result = reassignConversations(conversations, instance_name, 'instance_blocked');
+        response.reassigned = result.reassigned.length;
+        response.stranded = result.stranded;
+        if (result.stranded.length > 0) {
+            response.reassign_error = 'Nenhuma instância saudável disponível para todas as conversas';
         }
+    }
+    
+    res.json(response);
+});
+
+// Endpoint para desbloquear instância
+app.post('/api/instance/unblock', requireRole('admin'), (req, res) => {
+    const { instance_name } = req.body;
+    
+    const instance = instances.get(instance_name);
+    if (!instance) {
+        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+    }
+    
+    instance.active = true;
+    instance.updated_at = new Date().toISOString();
+    saveInstance(instance);
+    updateInstanceStats(instance_name, 'unblocked');
+    
+    addLog('instance', `Instância ${instance_name} desbloqueada`);
+    
+    res.json({ success: true, message: `Instância ${instance_name} desbloqueada` });
+});
+
+// Lê os filtros de analytics; período padrão: últimos 30 dias
+function parseAnalyticsQuery(query) {
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    const to = query.to || getAnalyticsDay();
+    // Aritmética sobre a data pura (meia-noite UTC), como em listDays
+    const from = query.from || new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+        return { error: 'from/to devem ser datas AAAA-MM-DD com from <= to' };
+    }
+    
+    return {
+        from: from,
+        to: to,
+        source: query.source || null,
+        campaign: query.campaign || null,
+        instance: query.instance || null,
+        flow_id: query.flow_id || null,
+        checkpoint: query.checkpoint || null
+    };
+}
+
+// Funil por checkpoint (?from=&to=&source=&campaign=&instance=&flow_id=&group_by=source|campaign|instance|day)
+app.get('/api/analytics/funnel', (req, res) => {
+    const filters = parseAnalyticsQuery(req.query);
+    const groupBy = req.query.group_by;
+    
+    if (filters.error) {
+        return res.status(400).json({ success: false, error: filters.error });
+    }
+    if (groupBy && !['source', 'campaign', 'instance', 'day'].includes(groupBy)) {
+        return res.status(400).json({ success: false, error: 'group_by deve ser source, campaign, instance ou day' });
+    }
+    
+    const rollups = filterRollups({ ...filters, checkpoint: null });
+    
+    if (!groupBy) {
+        return res.json({ success: true, filters: filters, funnel: buildFunnel(rollups, filters.flow_id) });
+    }
+    
+    const groups = new Map();
+    rollups.forEach(rollup => {
+        const key = rollup[groupBy];
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(rollup);
+    });
+    
+    res.json({
+        success: true,
+        filters: filters,
+        group_by: groupBy,
+        groups: Array.from(groups.entries())
+            .sort(([a], [b]) => compareValues(a, b))
+            .map(([key, list]) => ({ key: key, funnel: buildFunnel(list, filters.flow_id) }))
+    });
+});
+
+// Série diária (?metric=passes&checkpoint=&source=&campaign=&instance=&flow_id=&from=&to=&group_by=source|campaign|instance|checkpoint)
+const TIMESERIES_METRICS = [...ANALYTICS_COUNTERS, 'pass_rate', 'median_response_time'];
+
+app.get('/api/analytics/timeseries', (req, res) => {
+    const filters = parseAnalyticsQuery(req.query);
+    const metric = req.query.metric || 'passes';
+    const groupBy = req.query.group_by;
+    
+    if (filters.error) {
+        return res.status(400).json({ success: false, error: filters.error });
+    }
+    if (!TIMESERIES_METRICS.includes(metric)) {
+        return res.status(400).json({ success: false, error: `metric deve ser: ${TIMESERIES_METRICS.join(', ')}` });
+    }
+    if (groupBy && !['source', 'campaign', 'instance', 'checkpoint'].includes(groupBy)) {
+        return res.status(400).json({ success: false, error: 'group_by deve ser source, campaign, instance ou checkpoint' });
+    }
+    
+    const days = listDays(filters.from, filters.to);
+    const series = new Map();
+    filterRollups(filters).forEach(rollup => {
+        // Linhas de entrada (leads) não pertencem a nenhum checkpoint
+        if (groupBy === 'checkpoint' && !rollup.checkpoint) return;
         
-        res.status(200).json({ success: true });
-        
+        const key = groupBy ? rollup[groupBy] : 'total';
+        if (!series.has(key)) series.set(key, new Map());
+        const byDay = series.get(key);
+        if (!byDay.has(rollup.day)) byDay.set(rollup.day, []);
+        byDay.get(rollup.day).push(rollup);
+    });
+    
+    const metricValue = list => {
+        const totals = sumRollups(list);
+        if (metric === 'pass_rate') return percentage(totals.passes, totals.activations);
+        if (metric === 'median_response_time') return histogramPercentile(totals.response_times, 0.5);
+        return totals[metric];
+    };
+    
+    res.json({
+        success: true,
+        filters: filters,
+        metric: metric,
+        days: days,
+        series: Array.from(series.entries())
+            .sort(([a], [b]) => compareValues(a, b))
+            .map(([key, byDay]) => ({
+                key: key,
+                values: days.map(day => byDay.has(day) ? metricValue(byDay.get(day)) : (['pass_rate', 'median_response_time'].includes(metric) ? null : 0))
+            }))
+    });
+});
+
+// Link rastreado (fora de /api: público, usado em anúncios e bios)
+// /r/:campanha?utm_source=&utm_medium=&utm_campaign=&fbclid=&text=
+app.get('/r/:campaign', (req, res) => {
+    const { campaign } = req.params;
+    if (!/^[\w.-]{1,64}$/.test(campaign) || (REDIRECT_CAMPAIGNS.length > 0 && !REDIRECT_CAMPAIGNS.includes(campaign))) {
+        return res.status(404).send('Link inválido');
+    }
+    if (isRedirectRateLimited(req.ip)) {
+        return res.status(429).send('Muitos acessos. Tente novamente em instantes.');
+    }
+    
+    let click;
+    try {
+        click = createRedirectClick(campaign, req);
     } catch (error) {
-        addLog('error', `Erro no webhook Evolution: ${error.message}`, error);
-        res.status(500).json({ success: false, error: error.message });
+        addLog('error', `Link rastreado ${campaign} sem instância disponível: ${error.message}`);
+        return res.status(503).send('Atendimento indisponível no momento. Tente novamente mais tarde.');
     }
+    
+    const text = buildRedirectMessage(click.token, req.query.text && String(req.query.text));
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, `https://wa.me/${click.number}?text=${encodeURIComponent(text)}`);
 });
 
-// Endpoint para marcar instância como bloqueada
-app.post('/api/instance/block', (req, res) => {
-    const { instance_name } = req.body;
+// Cliques em links rastreados (?campaign=&instance=&matched=true|false&from=&to=&q=&order=&limit=&cursor=)
+app.get('/api/clicks', (req, res) => {
+    const query = parseListQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ success: false, error: query.error });
+    }
     
-    const instance = INSTANCES.find(i => i.name === instance_name);
-    if (!instance) {
-        return res.status(404).json({ success: false, error: 'Instância não encontrada' });
+    const { campaign, instance, matched } = req.query;
+    
+    const filtered = Array.from(redirectClicks.values()).filter(click =>
+        (!campaign || click.campaign === campaign) &&
+        (!instance || click.instance === instance) &&
+        (matched === undefined || Boolean(click.phone) === (matched === 'true')) &&
+        inDateRange(click.created_at, query.from, query.to) &&
+        matchesSearch(query.search, click.token, click.phone, click.campaign)
+    );
+    
+    // Conversão por campanha no recorte filtrado
+    const campaigns = {};
+    filtered.forEach(click => {
+        const entry = campaigns[click.campaign] || (campaigns[click.campaign] = { clicks: 0, matched: 0 });
+        entry.clicks++;
+        if (click.phone) entry.matched++;
+    });
+    Object.values(campaigns).forEach(entry => {
+        entry.conversion_rate = percentage(entry.matched, entry.clicks);
+    });
+    
+    const page = paginate(filtered, {
+        sortValue: click => click.created_at,
+        idOf: click => click.token,
+        order: query.order,
+        limit: query.limit,
+        cursor: query.cursor
+    });
+    
+    res.json({ success: true, total: page.total, campaigns: campaigns, clicks: page.items, next_cursor: page.next_cursor });
+});
+
+// Métricas no formato de texto do Prometheus (fora de /api: sem chave de API)
+app.get('/metrics', (req, res) => {
+    if (!METRICS_TOKEN && !METRICS_PUBLIC) {
+        return rejectRequest(req, res, 403, 'Métricas desativadas: defina METRICS_TOKEN ou METRICS_PUBLIC=true');
+    }
+    if (METRICS_TOKEN && !safeEqual(req.headers.authorization || '', `Bearer ${METRICS_TOKEN}`)) {
+        return rejectRequest(req, res, 401, 'Token de métricas inválido');
     }
     
-    instance.active = false;
-    updateInstanceStats(instance_name, 'blocked');
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+// Stream de eventos em tempo real (Server-Sent Events)
+app.get('/api/stream', (req, res) => {
+    const topics = req.query.topics
+        ? new Set(String(req.query.topics).split(',').map(t => t.trim()).filter(Boolean))
+        : null;
     
-    addLog('warning', `Instância ${instance_name} marcada como bloqueada`);
+    const unknown = topics ? Array.from(topics).filter(t => !STREAM_TOPICS.includes(t)) : [];
+    if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Tópicos inválidos: ${unknown.join(', ')}. Use: ${STREAM_TOPICS.join(', ')}` });
+    }
+    if (streamClients.size >= STREAM_MAX_CLIENTS) {
+        return res.status(503).json({ success: false, error: `Limite de ${STREAM_MAX_CLIENTS} conexões de stream atingido` });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
     
-    res.json({ success: true, message: `Instância ${instance_name} bloqueada` });
+    const client = { res: res, topics: topics };
+    
+    // Reconexão: reenvia o que ficou no buffer depois do último id recebido
+    const lastEventId = parseInt(req.headers['last-event-id'], 10);
+    if (lastEventId) {
+        streamBuffer
+            .filter(event => event.id > lastEventId && (!topics || topics.has(event.topic)))
+            .forEach(event => writeStreamEvent(res, event));
+    }
+    
+    streamClients.add(client);
+    req.on('close', () => streamClients.delete(client));
 });
 
 // Status geral do sistema
 app.get('/api/status', (req, res) => {
-    const conversations = Array.from(conversationState.entries()).map(([phone, conv]) => ({
-        phone: phone,
-        name: conv.name,
-        instance: conv.instance,
-        status: conv.status,
-        current_checkpoint: conv.current_checkpoint,
-        checkpoints_passed: conv.checkpoints.length,
-        waiting_response: conv.waiting_response,
-        created_at: conv.created_at,
-        last_activity: conv.last_activity
-    }));
-    
-    const instances = Array.from(instanceStats.entries()).map(([name, stats]) => ({
-        name: name,
-        ...stats,
-        active: INSTANCES.find(i => i.name === name)?.active || false
-    }));
+    // Resumo de tamanho fixo: listas ficam em /api/conversations,
+    // /api/checkpoints/history e /api/logs
+    const conversationsByStatus = {};
+    let waiting = 0;
+    conversationState.forEach(conv => {
+        conversationsByStatus[conv.status] = (conversationsByStatus[conv.status] || 0) + 1;
+        if (conv.waiting_response) waiting++;
+    });
     
     res.json({
         system: {
@@ -582,17 +5365,121 @@ app.get('/api/status', (req, res) => {
             timestamp: new Date().toISOString(),
             brazil_time: getBrazilTime()
         },
-        stats: {
-            ...dailyStats,
-            total_leads_processed: totalLeadsProcessed,
-            active_conversations: conversationState.size,
-            active_checkpoints: checkpointTimeouts.size
+        stats: statsSummary(),
+        conversations: {
+            total: conversationState.size,
+            waiting_response: waiting,
+            by_status: conversationsByStatus
         },
-        conversations: conversations,
-        instances: instances,
-        recent_checkpoints: checkpointHistory.slice(0, 50),
-        recent_logs: systemLogs.slice(0, 100)
+        instances: Array.from(instanceStats.keys()).map(instanceSummary),
+        last_checkpoint_at: checkpointHistory[0] ? checkpointHistory[0].timestamp : null
+    });
+});
+
+// Conversas (?status=&instance=&source=&checkpoint=&waiting_response=&from=&to=&q=
+//            &campaign=&ad_id=&utm_source=&utm_medium=&utm_campaign=
+//            &sort=last_activity|created_at|phone|name&order=desc&limit=50&cursor=)
+// from/to filtram pelo campo de ordenação quando é data; senão por created_at.
+// q busca em telefone, nome e no texto das mensagens guardadas da conversa.
+const CONVERSATION_SORT_FIELDS = ['last_activity', 'created_at', 'phone', 'name'];
+
+app.get('/api/conversations', (req, res) => {
+    const query = parseListQuery(req.query);
+    const sort = req.query.sort || 'last_activity';
+    
+    if (query.error || !CONVERSATION_SORT_FIELDS.includes(sort)) {
+        return res.status(400).json({ success: false, error: query.error || `sort deve ser: ${CONVERSATION_SORT_FIELDS.join(', ')}` });
+    }
+    
+    const { status, instance, source, checkpoint, waiting_response, campaign, ad_id, utm_source, utm_medium, utm_campaign } = req.query;
+    const dateField = ['last_activity', 'created_at'].includes(sort) ? sort : 'created_at';
+    const isDate = sort === 'last_activity' || sort === 'created_at';
+    
+    const filtered = Array.from(conversationState.values()).filter(conv =>
+        (!status || conv.status === status) &&
+        (!instance || conv.instance === instance) &&
+        (!source || conv.source === source) &&
+        (!checkpoint || conv.current_checkpoint === checkpoint) &&
+        (!campaign || getCampaign(conv) === campaign) &&
+        (!ad_id || conv.attribution?.ad_id === ad_id) &&
+        (!utm_source || conv.attribution?.utm.source === utm_source) &&
+        (!utm_medium || conv.attribution?.utm.medium === utm_medium) &&
+        (!utm_campaign || conv.attribution?.utm.campaign === utm_campaign) &&
+        (waiting_response === undefined || conv.waiting_response === (waiting_response === 'true')) &&
+        inDateRange(conv[dateField], query.from, query.to) &&
+        (matchesSearch(query.search, conv.phone, conv.name) ||
+            (conversationMessages.get(conv.phone) || []).some(m => matchesSearch(query.search, m.text)))
+    );
+    
+    const page = paginate(filtered, {
+        sortValue: conv => isDate ? new Date(conv[sort]).getTime() : String(conv[sort] || ''),
+        idOf: conv => conv.phone,
+        order: query.order,
+        limit: query.limit,
+        cursor: query.cursor
+    });
+    
+    res.json({
+        success: true,
+        total: page.total,
+        conversations: page.items.map(conversationSummary),
+        next_cursor: page.next_cursor
+    });
+});
+
+// Histórico de checkpoints passados (?checkpoint=&instance=&phone=&from=&to=&q=&order=&limit=&cursor=)
+app.get('/api/checkpoints/history', (req, res) => {
+    const query = parseListQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ success: false, error: query.error });
+    }
+    
+    const { checkpoint, instance } = req.query;
+    const phone = req.query.phone ? normalizePhone(req.query.phone) : null;
+    
+    const filtered = checkpointHistory.filter(entry =>
+        (!checkpoint || entry.checkpoint === checkpoint) &&
+        (!instance || entry.instance === instance) &&
+        (!phone || entry.phone === phone) &&
+        inDateRange(entry.timestamp, query.from, query.to) &&
+        matchesSearch(query.search, entry.phone, entry.name, entry.response)
+    );
+    
+    const page = paginate(filtered, {
+        sortValue: entry => new Date(entry.timestamp).getTime(),
+        idOf: entry => entry.id,
+        order: query.order,
+        limit: query.limit,
+        cursor: query.cursor
+    });
+    
+    res.json({ success: true, total: page.total, history: page.items, next_cursor: page.next_cursor });
+});
+
+// Logs do sistema (?type=error,auth&from=&to=&q=&order=&limit=&cursor=)
+app.get('/api/logs', (req, res) => {
+    const query = parseListQuery(req.query);
+    if (query.error) {
+        return res.status(400).json({ success: false, error: query.error });
+    }
+    
+    const types = req.query.type ? String(req.query.type).split(',') : null;
+    
+    const filtered = systemLogs.filter(log =>
+        (!types || types.includes(log.type)) &&
+        inDateRange(log.timestamp, query.from, query.to) &&
+        matchesSearch(query.search, log.message)
+    );
+    
+    const page = paginate(filtered, {
+        sortValue: log => log.timestamp,
+        idOf: log => log.id,
+        order: query.order,
+        limit: query.limit,
+        cursor: query.cursor
     });
+    
+    res.json({ success: true, total: page.total, logs: page.items, next_cursor: page.next_cursor });
 });
 
 // ============================================
@@ -602,10 +5489,25 @@ function cleanupOldData() {
     const now = Date.now();
     let cleaned = 0;
     
+    cleanupProcessedMessages();
+    finishDrainingInstances();
+    cleanupAnalytics();
+    cleanupRedirectClicks();
+    cleanupFailedEvents();
+    
+    // Remove sessões expiradas do dashboard
+    for (const [token, session] of dashboardSessions.entries()) {
+        if (session.expires_at < now) dashboardSessions.delete(token);
+    }
+    cleanupLoginAttempts();
+    
     // Remove conversas antigas
     for (const [phone, conv] of conversationState.entries()) {
         if (now - conv.last_activity > DATA_RETENTION_TIME) {
             conversationState.delete(phone);
+            unpersist('conversations', phone);
+            deleteConversationMessages(phone);
+            publishEvent('conversation', 'conversation_removed', { phone: phone });
             
             // Cancela timeouts pendentes
             const timeoutKey = `${phone}_${conv.current_checkpoint}`;
@@ -614,7 +5516,7 @@ function cleanupOldData() {
                 checkpointTimeouts.delete(timeoutKey);
             }
             
-            updateInstanceStats(conv.instance, 'conversation_ended');
+            releaseInstanceSlot(conv);
             cleaned++;
         }
     }
@@ -625,9 +5527,11 @@ function cleanupOldData() {
     );
     
     // Limpa histórico antigo
-    checkpointHistory = checkpointHistory.filter(h => 
-        h.timestamp.getTime() > now - DATA_RETENTION_TIME
-    );
+    checkpointHistory = checkpointHistory.filter(h => {
+        const keep = h.timestamp.getTime() > now - DATA_RETENTION_TIME;
+        if (!keep) unpersist('checkpointHistory', h.id);
+        return keep;
+    });
     
     // Reset estatísticas diárias à meia-noite
     const today = new Date().toDateString();
@@ -636,6 +5540,10 @@ function cleanupOldData() {
             leads_today: 0,
             checkpoints_passed: 0,
             timeouts: 0,
+            reengaged: 0,
+            opt_outs: 0,
+            converted: 0,
+            lost: 0,
             active_now: conversationState.size,
             last_reset: new Date()
         };
@@ -643,6 +5551,7 @@ function cleanupOldData() {
     }
     
     dailyStats.active_now = conversationState.size;
+    persistCounters();
     
     if (cleaned > 0) {
         addLog('cleanup', `Limpeza: ${cleaned} conversas removidas`);
@@ -652,10 +5561,118 @@ function cleanupOldData() {
 // ============================================
 // DASHBOARD HTML
 // ============================================
-app.get('/', (req, res) => {
+app.get('/', requireDashboardLogin, (req, res) => {
     res.send(getHTMLDashboard());
 });
 
+app.get('/login', (req, res) => {
+    res.send(getHTMLLogin());
+});
+
+app.post('/login', (req, res) => {
+    const { user = '', password = '' } = req.body;
+    
+    if (!DASHBOARD_PASSWORD) {
+        return res.redirect('/');
+    }
+    
+    if (isLoginBlocked(req.ip)) {
+        return res.status(429).send(getHTMLLogin('Muitas tentativas. Aguarde alguns minutos e tente novamente'));
+    }
+    
+    if (!safeEqual(user, DASHBOARD_USER) || !safeEqual(password, DASHBOARD_PASSWORD)) {
+        addLog('auth', `Login inválido no dashboard para usuário '${user}'`, { ip: req.ip });
+        recordLoginFailure(req.ip);
+        return res.status(401).send(getHTMLLogin('Usuário ou senha inválidos'));
+    }
+    
+    loginAttempts.delete(req.ip);
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    dashboardSessions.set(token, { user: user, expires_at: Date.now() + DASHBOARD_SESSION_TTL });
+    
+    addLog('auth', `Login no dashboard: ${user}`, { ip: req.ip });
+    res.setHeader('Set-Cookie', `cerebro_session=${token}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${DASHBOARD_SESSION_TTL / 1000}`);
+    res.redirect('/');
+});
+
+app.post('/logout', (req, res) => {
+    const token = parseCookies(req).cerebro_session;
+    if (token) dashboardSessions.delete(token);
+    
+    res.setHeader('Set-Cookie', 'cerebro_session=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0');
+    res.redirect('/login');
+});
+
+function getHTMLLogin(error = '') {
+    return `
+<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>🧠 Login - Sistema Multi-Checkpoint</title>
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #25D366 0%, #075E54 100%);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        }
+        
+        .login-box {
+            background: white;
+            border-radius: 20px;
+            padding: 40px;
+            width: 100%;
+            max-width: 380px;
+            box-shadow: 0 20px 40px rgba(0,0,0,0.1);
+        }
+        
+        h1 { color: #2d3748; font-size: 1.6rem; margin-bottom: 25px; }
+        
+        input {
+            width: 100%;
+            padding: 12px 15px;
+            margin-bottom: 15px;
+            border: 1px solid #e0e0e0;
+            border-radius: 10px;
+            font-size: 1rem;
+        }
+        
+        button {
+            width: 100%;
+            background: #25D366;
+            color: white;
+            border: none;
+            padding: 12px;
+            border-radius: 25px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+        
+        button:hover { background: #128C7E; }
+        
+        .error { color: #f56565; margin-bottom: 15px; }
+    </style>
+</head>
+<body>
+    <form class="login-box" method="POST" action="/login">
+        <h1>🧠 Multi-Checkpoint</h1>
+        ${error ? '<div class="error">' + error + '</div>' : ''}
+        <input name="user" placeholder="Usuário" autocomplete="username" required>
+        <input name="password" type="password" placeholder="Senha" autocomplete="current-password" required>
+        <button type="submit">Entrar</button>
+    </form>
+</body>
+</html>
+    `;
+}
+
 function getHTMLDashboard() {
     return `
 <!DOCTYPE html>
@@ -865,6 +5882,32 @@ function getHTMLDashboard() {
         }
         
         tr:hover { background: #f8f9fa; }
+        tr.clickable { cursor: pointer; }
+        
+        .transcript {
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+            margin-top: 20px;
+        }
+        
+        .bubble {
+            max-width: 70%;
+            padding: 10px 15px;
+            border-radius: 12px;
+            background: var(--light);
+        }
+        
+        .bubble.outbound {
+            align-self: flex-end;
+            background: #d4f8e8;
+        }
+        
+        .bubble-meta {
+            font-size: 0.75rem;
+            color: var(--gray);
+            margin-top: 5px;
+        }
         
         .badge {
             display: inline-block;
@@ -913,6 +5956,15 @@ function getHTMLDashboard() {
         .health-fill.warning { background: var(--warning); }
         .health-fill.danger { background: var(--danger); }
         
+        .funnel-row { display: flex; align-items: center; gap: 10px; margin-bottom: 8px; }
+        .funnel-label { width: 180px; font-weight: 600; }
+        .funnel-track { flex: 1; background: var(--light); border-radius: 4px; height: 24px; overflow: hidden; }
+        .funnel-fill { height: 100%; background: var(--primary); color: white; font-size: 0.8rem; padding-left: 6px; line-height: 24px; white-space: nowrap; }
+        .funnel-meta { width: 260px; font-size: 0.85rem; color: var(--gray); }
+        .chart { display: flex; align-items: flex-end; gap: 3px; height: 160px; border-bottom: 1px solid #e0e0e0; margin: 10px 0 5px; }
+        .chart-bar { flex: 1; background: var(--primary); border-radius: 3px 3px 0 0; min-height: 1px; }
+        .chart-axis { display: flex; justify-content: space-between; font-size: 0.75rem; color: var(--gray); }
+        
         .empty-state {
             text-align: center;
             padding: 60px 20px;
@@ -968,6 +6020,10 @@ function getHTMLDashboard() {
                     <span><strong>N8N Webhook:</strong></span>
                     <span id="n8n-url">${N8N_WEBHOOK_URL}</span>
                 </div>
+                <div class="config-row">
+                    <span><strong>Evolution API:</strong></span>
+                    <span>${EVOLUTION_API_URL}</span>
+                </div>
                 <div class="config-row">
                     <span><strong>Timeout Checkpoint:</strong></span>
                     <span>24 horas</span>
@@ -976,6 +6032,10 @@ function getHTMLDashboard() {
                     <span><strong>Retenção de Dados:</strong></span>
                     <span>72 horas</span>
                 </div>
+                <div class="config-row">
+                    <span><strong>Armazenamento:</strong></span>
+                    <span>${store.name}</span>
+                </div>
                 <div class="config-row">
                     <span><strong>Status:</strong></span>
                     <span class="badge badge-success">Online</span>
@@ -1026,6 +6086,9 @@ function getHTMLDashboard() {
                 <button class="btn btn-danger" onclick="clearOldData()">
                     <i class="fas fa-trash"></i> Limpar Antigos
                 </button>
+                ${DASHBOARD_PASSWORD ? `<form method="POST" action="/logout">
+                    <button class="btn btn-secondary" type="submit"><i class="fas fa-sign-out-alt"></i> Sair</button>
+                </form>` : ''}
             </div>
         </div>
         
@@ -1040,6 +6103,9 @@ function getHTMLDashboard() {
                 <button class="tab" onclick="switchTab('checkpoints')">
                     <i class="fas fa-tasks"></i> Checkpoints
                 </button>
+                <button class="tab" onclick="switchTab('analytics')">
+                    <i class="fas fa-filter"></i> Funil
+                </button>
                 <button class="tab" onclick="switchTab('logs')">
                     <i class="fas fa-file-alt"></i> Logs
                 </button>
@@ -1072,6 +6138,11 @@ function getHTMLDashboard() {
             currentTab = tab;
             document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
             event.target.classList.add('active');
+            
+            if (tab === 'analytics') {
+                loadAnalytics();
+                return;
+            }
             renderTabContent();
         }
         
@@ -1085,6 +6156,10 @@ function getHTMLDashboard() {
             }
             
             switch(currentTab) {
+                case 'transcript':
+                case 'analytics':
+                    // Histórico e funil são carregados sob demanda, não a cada atualização
+                    return;
                 case 'conversations':
                     renderConversations();
                     break;
@@ -1100,6 +6175,17 @@ function getHTMLDashboard() {
             }
         }
         
+        const STATUS_LABELS = {
+            active: ['success', 'Ativo'],
+            waiting: ['warning', 'Aguardando'],
+            timeout: ['danger', 'Sem resposta'],
+            converted: ['primary', 'Convertido'],
+            lost: ['danger', 'Perdido'],
+            opted_out: ['danger', 'Opt-out'],
+            human_takeover: ['info', 'Atendente'],
+            closed: ['info', 'Encerrado']
+        };
+        
         // Renderizar conversas
         function renderConversations() {
             const content = document.getElementById('tab-content');
@@ -1115,15 +6201,14 @@ function getHTMLDashboard() {
             html += '</tr></thead><tbody>';
             
             systemData.conversations.forEach(conv => {
-                const statusBadge = conv.waiting_response ? 'warning' : 'success';
-                const statusText = conv.waiting_response ? 'Aguardando' : 'Ativo';
+                const [statusBadge, statusText] = STATUS_LABELS[conv.status] || (conv.waiting_response ? STATUS_LABELS.waiting : STATUS_LABELS.active);
                 
-                html += '<tr>';
-                html += '<td>' + conv.phone + '</td>';
-                html += '<td>' + conv.name + '</td>';
-                html += '<td><span class="badge badge-primary">' + conv.instance + '</span></td>';
-                html += '<td>' + (conv.current_checkpoint || '-') + '</td>';
-                html += '<td>' + conv.checkpoints_passed + '</td>';
+                html += '<tr class="clickable" data-phone="' + escapeHtml(conv.phone) + '" onclick="viewTranscript(this.dataset.phone)">';
+                html += '<td>' + escapeHtml(conv.phone) + '</td>';
+                html += '<td>' + escapeHtml(conv.name) + '</td>';
+                html += '<td><span class="badge badge-primary">' + escapeHtml(conv.instance) + '</span></td>';
+                html += '<td>' + escapeHtml(conv.current_checkpoint || '-') + '</td>';
+                html += '<td>' + escapeHtml(conv.checkpoints_passed) + '</td>';
                 html += '<td><span class="badge badge-' + statusBadge + '">' + statusText + '</span></td>';
                 html += '<td>' + new Date(conv.last_activity).toLocaleString('pt-BR') + '</td>';
                 html += '</tr>';
@@ -1133,6 +6218,96 @@ function getHTMLDashboard() {
             content.innerHTML = html;
         }
         
+        function escapeHtml(text) {
+            return String(text === null || text === undefined ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+        }
+        
+        // Renderizar histórico de mensagens de uma conversa
+        async function viewTranscript(phone, before) {
+            const content = document.getElementById('tab-content');
+            currentTab = 'transcript';
+            
+            try {
+                const url = '/api/conversation/' + encodeURIComponent(phone) + '/messages?limit=100' + (before ? '&before=' + before : '');
+                const data = await (await fetch(url)).json();
+                
+                let html = '<div class="controls">';
+                html += '<button class="btn btn-secondary" onclick="currentTab = \\'conversations\\'; renderTabContent()"><i class="fas fa-arrow-left"></i> Voltar</button>';
+                if (data.next_cursor) {
+                    html += '<button class="btn" data-phone="' + escapeHtml(phone) + '" onclick="viewTranscript(this.dataset.phone, ' + Number(data.next_cursor) + ')"><i class="fas fa-history"></i> Mais antigas</button>';
+                }
+                html += '</div>';
+                html += '<h3>' + escapeHtml(phone) + ' <small>(' + (data.total || 0) + ' mensagens)</small></h3>';
+                
+                if (!data.messages || data.messages.length === 0) {
+                    html += '<div class="empty-state"><i class="fas fa-comment-slash"></i><h3>Nenhuma mensagem registrada</h3></div>';
+                } else {
+                    html += '<div class="transcript">';
+                    data.messages.forEach(msg => {
+                        const body = msg.text ? escapeHtml(msg.text) : '<i>[' + escapeHtml(msg.type) + ']</i>';
+                        const media = msg.media && msg.media.url ? ' <a href="' + escapeHtml(msg.media.url) + '" target="_blank"><i class="fas fa-paperclip"></i></a>' : '';
+                        html += '<div class="bubble ' + escapeHtml(msg.direction) + '">';
+                        html += '<div>' + body + media + '</div>';
+                        html += '<div class="bubble-meta">' + new Date(msg.timestamp).toLocaleString('pt-BR') + ' · ' + escapeHtml(msg.type) + (msg.checkpoint ? ' · ' + escapeHtml(msg.checkpoint) : '') + '</div>';
+                        html += '</div>';
+                    });
+                    html += '</div>';
+                }
+                
+                content.innerHTML = html;
+            } catch (error) {
+                console.error('Erro ao carregar mensagens:', error);
+            }
+        }
+        
+        // Funil dos últimos 30 dias e passagens por dia nos últimos 14
+        async function loadAnalytics() {
+            const content = document.getElementById('tab-content');
+            content.innerHTML = '<div class="loading"><div class="spinner"></div><p>Carregando...</p></div>';
+            
+            try {
+                // Dias no fuso de São Paulo, o mesmo usado pelo servidor nos rollups
+                const to = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Sao_Paulo' });
+                const from = new Date(Date.parse(to) - 13 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+                const [funnelData, seriesData] = await Promise.all([
+                    fetch('/api/analytics/funnel').then(r => r.json()),
+                    fetch('/api/analytics/timeseries?metric=passes&from=' + from + '&to=' + to).then(r => r.json())
+                ]);
+                if (currentTab !== 'analytics') return;
+                
+                const funnel = funnelData.funnel;
+                let html = '<h3>Funil (30 dias) <small>' + funnel.entered + ' leads</small></h3>';
+                
+                if (funnel.steps.length === 0) {
+                    html += '<div class="empty-state"><i class="fas fa-filter"></i><h3>Sem dados de checkpoints no período</h3></div>';
+                } else {
+                    funnel.steps.forEach(step => {
+                        const width = funnel.entered > 0 ? Math.min(100, (step.passes / funnel.entered) * 100) : 0;
+                        const median = step.response_time.median_seconds;
+                        const p90 = step.response_time.p90_seconds;
+                        html += '<div class="funnel-row">';
+                        html += '<div class="funnel-label">' + escapeHtml(step.checkpoint) + '</div>';
+                        html += '<div class="funnel-track"><div class="funnel-fill" style="width: ' + width + '%">' + step.passes + '</div></div>';
+                        html += '<div class="funnel-meta">conv. ' + (step.conversion_from_previous ?? '-') + '% · timeouts ' + step.timeouts;
+                        html += ' · mediana ' + (median === null ? '-' : Math.round(median / 60) + 'min') + ' · p90 ' + (p90 === null ? '-' : Math.round(p90 / 60) + 'min') + '</div>';
+                        html += '</div>';
+                    });
+                }
+                
+                const values = seriesData.series.length > 0 ? seriesData.series[0].values : seriesData.days.map(() => 0);
+                const max = Math.max(1, ...values);
+                html += '<h3 style="margin-top: 25px;">Checkpoints passados por dia</h3><div class="chart">';
+                values.forEach((value, i) => {
+                    html += '<div class="chart-bar" title="' + escapeHtml(seriesData.days[i]) + ': ' + value + '" style="height: ' + (value / max) * 100 + '%"></div>';
+                });
+                html += '</div><div class="chart-axis"><span>' + escapeHtml(seriesData.days[0]) + '</span><span>' + escapeHtml(seriesData.days[seriesData.days.length - 1]) + '</span></div>';
+                
+                content.innerHTML = html;
+            } catch (error) {
+                console.error('Erro ao carregar funil:', error);
+            }
+        }
+        
         // Renderizar instâncias
         function renderInstances() {
             const content = document.getElementById('tab-content');
@@ -1151,7 +6326,8 @@ function getHTMLDashboard() {
                 
                 html += '<div class="instance-card">';
                 html += '<div class="instance-info">';
-                html += '<h4>' + inst.name + ' <span class="badge badge-' + statusBadge + '">' + statusText + '</span></h4>';
+                html += '<h4>' + escapeHtml(inst.name) + ' <span class="badge badge-' + statusBadge + '">' + statusText + '</span></h4>';
+                html += '<div>Conexão: ' + escapeHtml(inst.connection_state || '-') + '</div>';
                 html += '<div>Saúde: <div class="health-bar"><div class="health-fill ' + healthClass + '" style="width: ' + inst.health_score + '%"></div></div></div>';
                 html += '</div>';
                 html += '<div class="instance-stats">';
@@ -1182,12 +6358,12 @@ function getHTMLDashboard() {
             
             systemData.recent_checkpoints.forEach(cp => {
                 html += '<tr>';
-                html += '<td>' + cp.brazil_time + '</td>';
-                html += '<td>' + cp.phone + '</td>';
-                html += '<td>' + cp.name + '</td>';
-                html += '<td><span class="badge badge-info">' + cp.checkpoint + '</span></td>';
-                html += '<td>' + (cp.response ? cp.response.substring(0, 50) + '...' : '-') + '</td>';
-                html += '<td><span class="badge badge-primary">' + cp.instance + '</span></td>';
+                html += '<td>' + escapeHtml(cp.brazil_time) + '</td>';
+                html += '<td>' + escapeHtml(cp.phone) + '</td>';
+                html += '<td>' + escapeHtml(cp.name) + '</td>';
+                html += '<td><span class="badge badge-info">' + escapeHtml(cp.checkpoint) + '</span></td>';
+                html += '<td>' + (cp.response ? escapeHtml(cp.response.substring(0, 50)) + '...' : '-') + '</td>';
+                html += '<td><span class="badge badge-primary">' + escapeHtml(cp.instance) + '</span></td>';
                 html += '</tr>';
             });
             
@@ -1212,9 +6388,9 @@ function getHTMLDashboard() {
                                    log.type === 'success' ? 'success' : 'info';
                 
                 html += '<tr>';
-                html += '<td>' + log.brazilTime + '</td>';
-                html += '<td><span class="badge badge-' + badgeClass + '">' + log.type + '</span></td>';
-                html += '<td>' + log.message + '</td>';
+                html += '<td>' + escapeHtml(log.brazilTime || new Date(log.timestamp).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })) + '</td>';
+                html += '<td><span class="badge badge-' + badgeClass + '">' + escapeHtml(log.type) + '</span></td>';
+                html += '<td>' + escapeHtml(log.message) + '</td>';
                 html += '</tr>';
             });
             
@@ -1222,25 +6398,119 @@ function getHTMLDashboard() {
             content.innerHTML = html;
         }
         
-        // Atualizar dados
+        // Atualizar estatísticas
+        function renderStats() {
+            document.getElementById('leads-today').textContent = systemData.stats.leads_today;
+            document.getElementById('checkpoints-passed').textContent = systemData.stats.checkpoints_passed;
+            document.getElementById('active-conversations').textContent = systemData.stats.active_conversations;
+            document.getElementById('timeouts').textContent = systemData.stats.timeouts;
+        }
+        
+        // Carrega o estado inicial (na abertura e ao reconectar o stream)
         async function refreshData() {
             try {
-                const response = await fetch('/api/status');
-                systemData = await response.json();
+                const [status, conversations, history, logs] = await Promise.all([
+                    fetch('/api/status').then(r => r.json()),
+                    fetch('/api/conversations?limit=200').then(r => r.json()),
+                    fetch('/api/checkpoints/history?limit=50').then(r => r.json()),
+                    fetch('/api/logs?limit=100').then(r => r.json())
+                ]);
                 
-                // Atualizar estatísticas
-                document.getElementById('leads-today').textContent = systemData.stats.leads_today;
-                document.getElementById('checkpoints-passed').textContent = systemData.stats.checkpoints_passed;
-                document.getElementById('active-conversations').textContent = systemData.stats.active_conversations;
-                document.getElementById('timeouts').textContent = systemData.stats.timeouts;
+                systemData = {
+                    ...status,
+                    conversations: conversations.conversations || [],
+                    recent_checkpoints: history.history || [],
+                    recent_logs: logs.logs || []
+                };
                 
-                // Renderizar aba atual
+                renderStats();
                 renderTabContent();
             } catch (error) {
                 console.error('Erro ao atualizar dados:', error);
             }
         }
         
+        // Várias atualizações do stream viram uma única renderização
+        let renderPending = false;
+        function scheduleRender() {
+            if (renderPending) return;
+            renderPending = true;
+            setTimeout(() => {
+                renderPending = false;
+                renderStats();
+                renderTabContent();
+            }, 300);
+        }
+        
+        function upsertBy(list, key, item, limit) {
+            const index = list.findIndex(entry => entry[key] === item[key]);
+            if (index >= 0) {
+                list[index] = item;
+            } else {
+                list.unshift(item);
+                if (limit && list.length > limit) list.length = limit;
+            }
+        }
+        
+        // Atualizações incrementais via /api/stream (SSE)
+        function connectStream() {
+            if (!window.EventSource) {
+                setInterval(refreshData, 10000);
+                return;
+            }
+            
+            const stream = new EventSource('/api/stream');
+            let connectedBefore = false;
+            
+            stream.onopen = () => {
+                if (connectedBefore) refreshData();
+                connectedBefore = true;
+            };
+            
+            stream.addEventListener('conversation', e => {
+                if (!systemData) return;
+                const event = JSON.parse(e.data);
+                if (event.type === 'conversation_removed') {
+                    systemData.conversations = systemData.conversations.filter(c => c.phone !== event.data.phone);
+                } else {
+                    upsertBy(systemData.conversations, 'phone', event.data);
+                }
+                scheduleRender();
+            });
+            
+            stream.addEventListener('checkpoint', e => {
+                if (!systemData) return;
+                const event = JSON.parse(e.data);
+                if (event.type === 'checkpoint_passed') {
+                    upsertBy(systemData.recent_checkpoints, 'id', event.data, 50);
+                    scheduleRender();
+                }
+            });
+            
+            stream.addEventListener('instance', e => {
+                if (!systemData) return;
+                const event = JSON.parse(e.data);
+                if (event.type === 'instance_removed') {
+                    systemData.instances = systemData.instances.filter(i => i.name !== event.data.name);
+                } else {
+                    upsertBy(systemData.instances, 'name', event.data);
+                }
+                scheduleRender();
+            });
+            
+            stream.addEventListener('stats', e => {
+                if (!systemData) return;
+                systemData.stats = JSON.parse(e.data).data;
+                scheduleRender();
+            });
+            
+            stream.addEventListener('log', e => {
+                if (!systemData) return;
+                upsertBy(systemData.recent_logs, 'id', JSON.parse(e.data).data, 100);
+                if (currentTab === 'logs') scheduleRender();
+            });
+        }
+        
         // Exportar dados
         function exportData() {
             if (!systemData) return;
@@ -1267,7 +6537,7 @@ function getHTMLDashboard() {
         // Inicialização
         document.addEventListener('DOMContentLoaded', function() {
             refreshData();
-            setInterval(refreshData, 10000); // Atualiza a cada 10 segundos
+            connectStream();
         });
     </script>
 </body>
@@ -1278,40 +6548,184 @@ function getHTMLDashboard() {
 // ============================================
 // INICIALIZAÇÃO DO SISTEMA
 // ============================================
-initializeInstanceStats();
-
-// Configura limpeza automática
-setInterval(cleanupOldData, CLEANUP_INTERVAL);
-
-// Inicia servidor
-app.listen(PORT, () => {
-    console.log('\n=====================================');
-    console.log('🧠 SISTEMA MULTI-CHECKPOINT WHATSAPP');
-    console.log('=====================================');
-    console.log(`✅ Servidor rodando na porta ${PORT}`);
-    console.log(`📊 Dashboard: http://localhost:${PORT}`);
-    console.log(`📡 N8N Webhook: ${N8N_WEBHOOK_URL}`);
-    console.log('\n📌 ENDPOINTS DISPONÍVEIS:');
-    console.log('-------------------------------------');
-    console.log('POST /api/lead/new              - Recebe novo lead');
-    console.log('POST /api/checkpoint/activate   - Ativa checkpoint');
-    console.log('GET  /api/conversation/:phone   - Status da conversa');
-    console.log('POST /webhook/evolution         - Webhook Evolution');
-    console.log('POST /api/instance/block        - Bloquear instância');
-    console.log('GET  /api/status                - Status geral');
-    console.log('-------------------------------------');
-    console.log(`\n⏰ Horário: ${getBrazilTime()}`);
-    console.log(`🔄 Limpeza automática: a cada ${CLEANUP_INTERVAL / 60000} minutos`);
-    console.log(`💾 Retenção de dados: ${DATA_RETENTION_TIME / 3600000} horas`);
-    console.log(`⏱️ Timeout checkpoint: ${CHECKPOINT_TIMEOUT / 3600000} horas`);
-    console.log('\n🚀 MODO AUTO LEAD ATIVADO!');
-    console.log('📱 Qualquer mensagem = Lead automático');
-    console.log('=====================================\n');
-    
-    addLog('system', 'Sistema iniciado com AUTO LEAD ativado', {
-        port: PORT,
-        instances: INSTANCES.length,
-        n8n_webhook: N8N_WEBHOOK_URL,
-        mode: 'auto_lead'
+async function startServer() {
+    validateLateReplyPolicies(LATE_REPLY_POLICY).forEach(error => configErrors.push(`LATE_REPLY_POLICY: ${error}`));
+    validateScheduleConfig({ business_hours: BUSINESS_HOURS, holidays: HOLIDAYS, quiet_hours: QUIET_HOURS })
+        .forEach(error => configErrors.push(`BUSINESS_HOURS/HOLIDAYS/QUIET_HOURS: ${error}`));
+    if (configErrors.length > 0) {
+        throw new Error(`Configuração inválida:\n  - ${configErrors.join('\n  - ')}`);
+    }
+    
+    // Restaura estado persistido antes de aceitar requisições
+    await loadPersistedState();
+    warnOpenAccess();
+    if (!ROUTING_STRATEGIES[routingStrategy]) {
+        addLog('warning', `Estratégia de roteamento '${routingStrategy}' desconhecida, usando round_robin`);
+        routingStrategy = 'round_robin';
+    }
+    loadFlowsFile();
+    initializeInstanceStats();
+    restoreCheckpointTimers();
+    restoreEventQueue();
+    
+    // Configura limpeza automática
+    setInterval(cleanupOldData, CLEANUP_INTERVAL);
+    setInterval(sendStreamHeartbeat, STREAM_HEARTBEAT_INTERVAL);
+    
+    // Monitora conexão das instâncias na Evolution
+    if (process.env.INSTANCE_HEALTH_INTERVAL_SECONDS !== '0') {
+        setInterval(pollInstancesHealth, INSTANCE_HEALTH_INTERVAL);
+        pollInstancesHealth();
+    }
+    
+    // Inicia servidor
+    app.listen(PORT, () => {
+        console.log('\n=====================================');
+        console.log('🧠 SISTEMA MULTI-CHECKPOINT WHATSAPP');
+        console.log('=====================================');
+        console.log(`✅ Servidor rodando na porta ${PORT}`);
+        console.log(`📊 Dashboard: http://localhost:${PORT}`);
+        console.log(`📡 N8N Webhook: ${N8N_WEBHOOK_URL}`);
+        console.log('\n📌 ENDPOINTS DISPONÍVEIS:');
+        console.log('-------------------------------------');
+        console.log('POST /api/lead/new              - Recebe novo lead');
+        console.log('POST /api/checkpoint/activate   - Ativa checkpoint');
+        console.log('POST /api/message/send          - Envia mensagem via Evolution');
+        console.log('GET  /api/conversation/:phone   - Status da conversa');
+        console.log('GET  /api/conversation/:phone/messages - Histórico de mensagens');
+        console.log('POST /webhook/evolution         - Webhook Evolution');
+        console.log('GET  /api/flows                 - Lista fluxos');
+        console.log('POST /api/flows                 - Cria fluxo');
+        console.log('PUT  /api/flows/:id             - Nova versão de fluxo');
+        console.log('POST /api/conversation/:phone/flow - Inicia fluxo');
+        console.log('POST /api/conversation/:phone/status - Muda status (convertido, perdido...)');
+        console.log('POST /api/conversation/:phone/close - Encerra conversa');
+        console.log('GET  /api/events/failed         - Eventos N8N falhos');
+        console.log('POST /api/events/:id/retry      - Reenvia evento falho');
+        console.log('POST /api/events/failed/retry   - Reenvia todos os eventos falhos');
+        console.log('GET  /api/instances             - Lista instâncias');
+        console.log('GET  /api/instances/:name/health - Histórico de conexão');
+        console.log('POST /api/instances             - Cadastra instância');
+        console.log('PATCH /api/instances/:name      - Atualiza instância');
+        console.log('DELETE /api/instances/:name     - Remove instância');
+        console.log('GET  /api/late-replies/policy   - Políticas de respostas tardias');
+        console.log('GET  /api/schedule              - Horário comercial e de silêncio');
+        console.log('GET  /api/schedule/preview      - Simula expiração de checkpoint');
+        console.log('GET  /api/suppression           - Lista de supressão (opt-out)');
+        console.log('GET  /api/routing               - Estratégia de roteamento');
+        console.log('PUT  /api/routing               - Troca estratégia');
+        console.log('POST /api/instance/block        - Bloquear instância');
+        console.log('POST /api/instance/unblock      - Desbloquear instância');
+        console.log('GET  /api/status                - Status geral');
+        console.log('GET  /api/conversations         - Conversas (filtros e paginação)');
+        console.log('GET  /api/checkpoints/history   - Histórico de checkpoints');
+        console.log('GET  /api/logs                  - Logs do sistema');
+        console.log('GET  /api/analytics/funnel      - Funil por checkpoint');
+        console.log('GET  /api/analytics/timeseries  - Série diária de métricas');
+        console.log('GET  /api/stream                - Eventos em tempo real (SSE)');
+        console.log('GET  /metrics                   - Métricas Prometheus');
+        console.log('GET  /r/:campaign               - Link rastreado (redireciona para wa.me)');
+        console.log('GET  /api/clicks                - Cliques em links rastreados');
+        console.log('-------------------------------------');
+        console.log(`\n⏰ Horário: ${getBrazilTime()}`);
+        console.log(`🔄 Limpeza automática: a cada ${CLEANUP_INTERVAL / 60000} minutos`);
+        console.log(`💾 Retenção de dados: ${DATA_RETENTION_TIME / 3600000} horas`);
+        console.log(`🗄️ Armazenamento: ${store.name}`);
+        console.log(`⏱️ Timeout checkpoint: ${CHECKPOINT_TIMEOUT / 3600000} horas`);
+        console.log('\n🚀 MODO AUTO LEAD ATIVADO!');
+        console.log('📱 Qualquer mensagem = Lead automático');
+        console.log('=====================================\n');
+        
+        addLog('system', 'Sistema iniciado com AUTO LEAD ativado', {
+            port: PORT,
+            instances: instances.size,
+            n8n_webhook: N8N_WEBHOOK_URL,
+            storage: store.name,
+            mode: 'auto_lead'
+        });
     });
-});
+}
+
+function warnOpenAccess() {
+    if (API_KEYS.size === 0) {
+        addLog('warning', DASHBOARD_PASSWORD
+            ? 'Nenhuma chave de API configurada: /api/* só aceita a sessão do dashboard (N8N precisa de API_KEYS_N8N)'
+            : 'Nenhuma chave de API configurada: /api/* está aberto');
+    }
+    if (!DASHBOARD_PASSWORD) {
+        addLog('warning', API_KEYS.size > 0
+            ? 'DASHBOARD_PASSWORD não definido: dashboard não conseguirá consultar /api sem login'
+            : 'DASHBOARD_PASSWORD não definido: dashboard sem login');
+    }
+    if (!EVOLUTION_WEBHOOK_SECRET) {
+        addLog('warning', 'EVOLUTION_WEBHOOK_SECRET não definido: webhook sem verificação');
+    }
+    if (METRICS_PUBLIC && !METRICS_TOKEN) {
+        addLog('warning', 'METRICS_PUBLIC=true sem METRICS_TOKEN: /metrics está aberto');
+    }
+}
+
+// Garante que escritas pendentes cheguem ao store antes de sair
+async function shutdown(signal) {
+    addLog('system', `Recebido ${signal}, gravando estado antes de encerrar`);
+    try {
+        await store.flush();
+    } finally {
+        process.exit(0);
+    }
+}
+
+// Testes importam o módulo sem subir o servidor
+if (require.main === module) {
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    
+    startServer().catch(error => {
+        console.error('Falha ao iniciar o sistema:', error);
+        process.exit(1);
+    });
+}
+
+// Usados pelos testes (test/): importar não sobe o servidor
+module.exports = {
+    REPLY_MATCHERS,
+    matchCheckpointReply,
+    createFileStore,
+    loadPersistedState,
+    reviveConversation,
+    buildInstance,
+    saveInstance,
+    instanceSummary,
+    ROUTING_STRATEGIES,
+    pickInstance,
+    assignInstance,
+    CONVERSATION_TRANSITIONS,
+    canTransition,
+    transitionConversation,
+    createConversation,
+    addBusinessMinutes,
+    getCheckpointExpiry,
+    sendMessage,
+    getMessagesPage,
+    RESPONSE_TIME_BUCKETS,
+    histogramPercentile,
+    buildFunnel,
+    getRetryDelay,
+    moveToDeadLetter,
+    takeFailedEvent,
+    validateFlow,
+    saveFlow,
+    startFlow,
+    advanceFlow,
+    getOptOutKeyword,
+    suppressPhone,
+    getMessageDedupKey,
+    checkAndMarkMessage,
+    normalizePhone,
+    authenticateApi,
+    requireRole,
+    encodeCursor,
+    decodeCursor,
+    paginate,
+    parseListQuery
+};
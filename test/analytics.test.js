@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+const { RESPONSE_TIME_BUCKETS, histogramPercentile, buildFunnel } = require('../index.js');
+
+// Histograma com contagens por faixa: { índiceDaFaixa: contagem }
+function histogram(counts = {}) {
+    return RESPONSE_TIME_BUCKETS.map((_, i) => counts[i] || 0);
+}
+
+function rollup(fields) {
+    return {
+        leads: 0, flow_starts: 0, activations: 0, passes: 0, timeouts: 0,
+        invalid_replies: 0, conversions: 0, losses: 0, position_sum: 0,
+        response_times: histogram(), checkpoint: null,
+        ...fields
+    };
+}
+
+test('percentil interpola dentro da faixa', () => {
+    // 10 respostas entre 10s e 30s
+    assert.strictEqual(histogramPercentile(histogram({ 1: 10 }), 0.5), 20);
+    assert.strictEqual(histogramPercentile(histogram({ 1: 10 }), 0.9), 28);
+    // Metade até 10s, metade entre 60s e 120s
+    assert.strictEqual(histogramPercentile(histogram({ 0: 5, 3: 5 }), 0.5), 10);
+    assert.strictEqual(histogramPercentile(histogram({ 0: 5, 3: 5 }), 0.9), 108);
+});
+
+test('percentil sem dados é null e a última faixa devolve o limite inferior', () => {
+    assert.strictEqual(histogramPercentile(histogram(), 0.5), null);
+    const last = RESPONSE_TIME_BUCKETS.length - 1;
+    assert.strictEqual(histogramPercentile(histogram({ [last]: 3 }), 0.9), RESPONSE_TIME_BUCKETS[last - 1]);
+});
+
+test('funil soma os dias e calcula a conversão passo a passo', () => {
+    const funnel = buildFunnel([
+        rollup({ day: '2026-10-18', leads: 60, conversions: 6, losses: 10 }),
+        rollup({ day: '2026-10-19', leads: 40, conversions: 4 }),
+        rollup({ checkpoint: 'qualificacao', activations: 90, passes: 50, timeouts: 30, position_sum: 180, response_times: histogram({ 1: 50 }) }),
+        rollup({ checkpoint: 'boas_vindas', activations: 100, passes: 80, timeouts: 20, position_sum: 100 })
+    ], null);
+    
+    assert.strictEqual(funnel.entered, 100);
+    assert.strictEqual(funnel.converted, 10);
+    assert.strictEqual(funnel.lost, 10);
+    assert.strictEqual(funnel.conversion_rate, 10);
+    
+    // Sem fluxo, a ordem vem da posição média do checkpoint na jornada
+    assert.deepStrictEqual(funnel.steps.map(step => step.checkpoint), ['boas_vindas', 'qualificacao']);
+    
+    const [first, second] = funnel.steps;
+    assert.strictEqual(first.pass_rate, 80);
+    assert.strictEqual(first.conversion_from_previous, 80);
+    assert.strictEqual(first.drop_off, 20);
+    assert.strictEqual(second.pass_rate, 55.6);
+    assert.strictEqual(second.conversion_from_previous, 62.5);
+    assert.strictEqual(second.drop_off, 37.5);
+    assert.strictEqual(second.conversion_from_start, 50);
+    assert.deepStrictEqual(second.response_time, { median_seconds: 20, p90_seconds: 28 });
+    assert.deepStrictEqual(first.response_time, { median_seconds: null, p90_seconds: null });
+});
+
+test('funil sem entradas não divide por zero', () => {
+    const funnel = buildFunnel([rollup({ checkpoint: 'boas_vindas', activations: 0 })], null);
+    
+    assert.strictEqual(funnel.entered, 0);
+    assert.strictEqual(funnel.conversion_rate, null);
+    assert.strictEqual(funnel.steps[0].pass_rate, null);
+    assert.strictEqual(funnel.steps[0].conversion_from_previous, null);
+    assert.strictEqual(funnel.steps[0].drop_off, null);
+});
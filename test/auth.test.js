@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.API_KEYS_ADMIN = 'chave-admin';
+process.env.API_KEYS_N8N = 'chave-n8n';
+process.env.API_KEYS_READONLY = 'chave-leitura,outra-leitura';
+const app = require('../index.js');
+
+// Executa o middleware com req/res mínimos e devolve { next, status, body, auth }
+function run(middleware, { method = 'GET', headers = {}, auth } = {}) {
+    const req = { method, headers, auth, originalUrl: '/api/status?secret=x', ip: '127.0.0.1' };
+    const result = { next: false, status: null, body: null };
+    const res = {
+        status(code) {
+            result.status = code;
+            return this;
+        },
+        json(body) {
+            result.body = body;
+            return this;
+        }
+    };
+    
+    middleware(req, res, () => {
+        result.next = true;
+    });
+    result.auth = req.auth;
+    return result;
+}
+
+test('sem chave: 401', () => {
+    const result = run(app.authenticateApi);
+    assert.strictEqual(result.next, false);
+    assert.strictEqual(result.status, 401);
+    assert.deepStrictEqual(result.body, { success: false, error: 'Chave de API ausente' });
+});
+
+test('chave desconhecida: 401', () => {
+    const result = run(app.authenticateApi, { headers: { 'x-api-key': 'errada' } });
+    assert.strictEqual(result.status, 401);
+    assert.strictEqual(result.body.error, 'Chave de API inválida');
+});
+
+test('chave por X-Api-Key ou Bearer define o papel', () => {
+    assert.deepStrictEqual(run(app.authenticateApi, { headers: { 'x-api-key': 'chave-n8n' } }).auth, { role: 'n8n', source: 'api_key' });
+    assert.deepStrictEqual(run(app.authenticateApi, { headers: { authorization: 'Bearer chave-admin' } }).auth, { role: 'admin', source: 'api_key' });
+    assert.strictEqual(run(app.authenticateApi, { headers: { 'x-api-key': 'outra-leitura' } }).auth.role, 'readonly');
+});
+
+test('readonly só faz GET', () => {
+    const headers = { 'x-api-key': 'chave-leitura' };
+    assert.strictEqual(run(app.authenticateApi, { headers }).next, true);
+    
+    const post = run(app.authenticateApi, { method: 'POST', headers });
+    assert.strictEqual(post.next, false);
+    assert.strictEqual(post.status, 403);
+    
+    assert.strictEqual(run(app.authenticateApi, { method: 'POST', headers: { 'x-api-key': 'chave-n8n' } }).next, true);
+});
+
+test('requireRole compara o nível do papel', () => {
+    const admin = app.requireRole('admin');
+    const n8n = app.requireRole('n8n');
+    
+    assert.strictEqual(run(admin, { auth: { role: 'admin' } }).next, true);
+    assert.strictEqual(run(admin, { auth: { role: 'n8n' } }).status, 403);
+    assert.strictEqual(run(n8n, { auth: { role: 'admin' } }).next, true);
+    assert.strictEqual(run(n8n, { auth: { role: 'readonly' } }).status, 403);
+    assert.deepStrictEqual(run(n8n, {}).body, { success: false, error: "Requer papel 'n8n'" });
+});
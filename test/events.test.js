@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.N8N_DEAD_LETTER_MAX = '2';
+const app = require('../index.js');
+
+const MAX_DELAY = 30 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 12;
+
+const failedEntry = (eventId) => ({
+    event_id: eventId,
+    payload: { event: 'checkpoint_passed', event_id: eventId },
+    attempts: DEFAULT_MAX_ATTEMPTS,
+    created_at: new Date().toISOString(),
+    next_attempt_at: new Date().toISOString(),
+    last_error: 'connect ECONNREFUSED'
+});
+
+test('espera entre tentativas dobra a partir de 5s até o teto de 30 minutos', () => {
+    assert.strictEqual(app.getRetryDelay(1), 5000);
+    assert.strictEqual(app.getRetryDelay(2), 10000);
+    assert.strictEqual(app.getRetryDelay(5), 80000);
+    assert.strictEqual(app.getRetryDelay(9), 1280000);
+    assert.strictEqual(app.getRetryDelay(10), MAX_DELAY);
+    assert.strictEqual(app.getRetryDelay(40), MAX_DELAY);
+});
+
+test('tentativas padrão chegam ao teto antes da dead-letter', () => {
+    // A última falha vai para a dead-letter; a espera anterior já é a máxima
+    assert.strictEqual(app.getRetryDelay(DEFAULT_MAX_ATTEMPTS - 1), MAX_DELAY);
+});
+
+test('dead-letter guarda o evento e o reenvio recomeça a contagem', () => {
+    app.moveToDeadLetter(failedEntry('evt-1'));
+    
+    const entry = app.takeFailedEvent('evt-1');
+    assert.strictEqual(entry.event_id, 'evt-1');
+    assert.strictEqual(entry.attempts, 0);
+    assert.strictEqual(entry.failed_at, null);
+    assert.strictEqual(entry.next_attempt_at, null);
+    assert.strictEqual(app.takeFailedEvent('evt-1'), null);
+});
+
+test('dead-letter cheia descarta os eventos mais antigos', () => {
+    ['evt-a', 'evt-b', 'evt-c'].forEach(eventId => app.moveToDeadLetter(failedEntry(eventId)));
+    
+    assert.strictEqual(app.takeFailedEvent('evt-a'), null);
+    assert.strictEqual(app.takeFailedEvent('evt-b').event_id, 'evt-b');
+    assert.strictEqual(app.takeFailedEvent('evt-c').event_id, 'evt-c');
+});
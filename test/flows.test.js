@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+// Evolution e N8N falsos: tudo responde 200 e os eventos do N8N ficam gravados
+const n8nEvents = [];
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        if (req.url === '/n8n') n8nEvents.push(JSON.parse(raw));
+        res.setHeader('Content-Type', 'application/json');
+        res.end('{}');
+    });
+});
+
+// Eventos são enviados em segundo plano: espera o N8N falso receber
+async function waitForEvent(name, phone) {
+    for (let i = 0; i < 100; i++) {
+        const event = n8nEvents.find(e => e.event === name && e.phone === phone);
+        if (event) return event;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Evento ${name} não chegou para ${phone}`);
+}
+
+let app;
+const started = [];
+
+const definition = {
+    id: 'vendas',
+    steps: [
+        { name: 'boas_vindas', accept: [{ type: 'yes_no' }], on_reply: { yes: 'qualificacao', no: 'despedida' }, on_timeout: 'lembrete' },
+        { name: 'qualificacao', on_reply: null },
+        { name: 'despedida' },
+        { name: 'lembrete', on_reply: 'qualificacao' }
+    ]
+};
+
+function startConversation(phone) {
+    const conversation = app.createConversation(phone, 'Cliente');
+    started.push(conversation);
+    assert.strictEqual(app.startFlow(phone, 'vendas').success, true);
+    return conversation;
+}
+
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    process.env.EVOLUTION_API_URL = url;
+    process.env.N8N_WEBHOOK_URL = `${url}/n8n`;
+    process.env.STORAGE_DRIVER = 'memory';
+    app = require('../index.js');
+    app.saveInstance(app.buildInstance({ name: 'F', id: 'id-f' }));
+});
+
+test.after(() => {
+    // Encerrar as conversas cancela os timers de checkpoint
+    started.forEach(conversation => app.transitionConversation(conversation, 'closed'));
+    server.close();
+});
+
+test('validateFlow aponta passos e destinos inválidos', () => {
+    assert.deepStrictEqual(app.validateFlow(definition), []);
+    assert.deepStrictEqual(app.validateFlow(null), ['Definição de fluxo inválida']);
+    assert.deepStrictEqual(app.validateFlow({ id: 'x', steps: [] }), ['steps deve ter ao menos um checkpoint']);
+    
+    const errors = app.validateFlow({
+        start: 'inicio',
+        steps: [
+            { name: 'a', on_reply: 'b', timeout_minutes: 0 },
+            { name: 'a', on_timeout: 'fantasma', message: { type: 'video' } }
+        ]
+    });
+    assert.deepStrictEqual(errors, [
+        'id é obrigatório',
+        'steps[0].timeout_minutes deve ser positivo',
+        'Checkpoint duplicado: a',
+        'steps[1].message tem tipo não suportado',
+        'a.on_reply aponta para checkpoint inexistente: b',
+        'a.on_timeout aponta para checkpoint inexistente: fantasma',
+        'start aponta para checkpoint inexistente: inicio'
+    ]);
+});
+
+test('saveFlow só cria versão nova quando a definição muda', () => {
+    const first = app.saveFlow(definition);
+    assert.strictEqual(first.flow.version, 1);
+    assert.strictEqual(first.flow.start, 'boas_vindas');
+    
+    assert.strictEqual(app.saveFlow(definition).changed, false);
+    assert.strictEqual(app.saveFlow({ id: 'quebrado', steps: [{ on_reply: 'x' }] }).success, false);
+});
+
+test('startFlow ativa o primeiro passo', () => {
+    const conversation = startConversation('5511966660001');
+    
+    assert.strictEqual(conversation.current_checkpoint, 'boas_vindas');
+    assert.strictEqual(conversation.status, 'waiting');
+    assert.deepStrictEqual(conversation.flow.history.map(h => [h.step, h.trigger]), [['boas_vindas', 'start']]);
+});
+
+test('on_reply por valor reconhecido escolhe o próximo passo', () => {
+    const yes = startConversation('5511966660002');
+    app.advanceFlow(yes.phone, 'reply', 'yes');
+    assert.strictEqual(yes.current_checkpoint, 'qualificacao');
+    
+    const no = startConversation('5511966660003');
+    app.advanceFlow(no.phone, 'reply', 'no');
+    assert.strictEqual(no.current_checkpoint, 'despedida');
+    assert.strictEqual(no.flow.history[1].trigger, 'boas_vindas:reply');
+});
+
+test('timeout segue on_timeout; sem rota, o fluxo termina como timeout', () => {
+    const conversation = startConversation('5511966660004');
+    
+    app.advanceFlow(conversation.phone, 'timeout');
+    assert.strictEqual(conversation.current_checkpoint, 'lembrete');
+    
+    app.advanceFlow(conversation.phone, 'reply', 'qualquer');
+    assert.strictEqual(conversation.current_checkpoint, 'qualificacao');
+    
+    assert.strictEqual(app.advanceFlow(conversation.phone, 'timeout'), null);
+    assert.strictEqual(conversation.flow.outcome, 'timeout');
+    assert.ok(conversation.flow.completed_at instanceof Date);
+});
+
+test('on_reply nulo conclui o fluxo e avisa o N8N', async () => {
+    const conversation = startConversation('5511966660005');
+    app.advanceFlow(conversation.phone, 'reply', 'yes');
+    
+    const result = app.advanceFlow(conversation.phone, 'reply', 'João');
+    assert.deepStrictEqual(result, { success: true, completed: true });
+    assert.strictEqual(conversation.flow.outcome, 'completed');
+    assert.strictEqual(app.advanceFlow(conversation.phone, 'reply', 'de novo'), null);
+    
+    const event = await waitForEvent('flow_completed', conversation.phone);
+    assert.strictEqual(event.flow, 'vendas');
+    assert.strictEqual(event.last_trigger, 'qualificacao:reply');
+});
+
+test('conversa em andamento segue na versão em que começou', () => {
+    const conversation = startConversation('5511966660006');
+    
+    const edited = app.saveFlow({ ...definition, steps: definition.steps.map(step =>
+        step.name === 'boas_vindas' ? { ...step, on_reply: 'despedida' } : step
+    ) });
+    assert.strictEqual(edited.flow.version, 2);
+    
+    app.advanceFlow(conversation.phone, 'reply', 'yes');
+    assert.strictEqual(conversation.flow.version, 1);
+    assert.strictEqual(conversation.current_checkpoint, 'qualificacao');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+const app = require('../index.js');
+
+app.saveInstance(app.buildInstance({ name: 'L', id: 'id-l' }));
+const activeConversations = () => app.instanceSummary('L').active_conversations;
+
+test('tabela de transições: destinos válidos e bloqueios', () => {
+    const statuses = Object.keys(app.CONVERSATION_TRANSITIONS);
+    Object.values(app.CONVERSATION_TRANSITIONS).forEach(targets => {
+        targets.forEach(target => assert.ok(statuses.includes(target), target));
+    });
+    
+    assert.strictEqual(app.canTransition('active', 'active'), true);
+    assert.strictEqual(app.canTransition('active', 'waiting'), true);
+    assert.strictEqual(app.canTransition('waiting', 'timeout'), true);
+    assert.strictEqual(app.canTransition('active', 'timeout'), false);
+    assert.strictEqual(app.canTransition('closed', 'waiting'), false);
+    assert.strictEqual(app.canTransition('opted_out', 'converted'), false);
+    assert.strictEqual(app.canTransition('desconhecido', 'active'), false);
+});
+
+test('transição inválida não altera a conversa; válida entra no histórico', () => {
+    const conversation = app.createConversation('5511977770001', 'Eva');
+    
+    const invalid = app.transitionConversation(conversation, 'timeout');
+    assert.strictEqual(invalid.success, false);
+    assert.strictEqual(invalid.error, 'Transição de status inválida: active → timeout');
+    assert.strictEqual(conversation.status, 'active');
+    
+    const result = app.transitionConversation(conversation, 'human_takeover', { reason: 'cliente pediu atendente', by: 'api' });
+    assert.deepStrictEqual(result, { success: true, changed: true, from: 'active' });
+    assert.deepStrictEqual(app.transitionConversation(conversation, 'human_takeover'), { success: true, changed: false, from: 'human_takeover' });
+    
+    const last = conversation.status_history[conversation.status_history.length - 1];
+    assert.strictEqual(last.from, 'active');
+    assert.strictEqual(last.to, 'human_takeover');
+    assert.strictEqual(last.reason, 'cliente pediu atendente');
+    assert.strictEqual(last.by, 'api');
+});
+
+test('status finais dão baixa na instância uma única vez; reabrir volta a contar', () => {
+    const conversation = app.createConversation('5511977770002', 'Fábio');
+    const before = activeConversations();
+    
+    app.transitionConversation(conversation, 'converted');
+    assert.strictEqual(activeConversations(), before - 1);
+    
+    app.transitionConversation(conversation, 'closed');
+    assert.strictEqual(activeConversations(), before - 1);
+    
+    app.transitionConversation(conversation, 'active');
+    assert.strictEqual(activeConversations(), before);
+    
+    app.transitionConversation(conversation, 'lost');
+    assert.strictEqual(activeConversations(), before - 1);
+});
+
+test('opt-out: só a palavra-chave sozinha conta', () => {
+    assert.strictEqual(app.getOptOutKeyword({ type: 'text', text: 'SAIR' }), 'sair');
+    assert.strictEqual(app.getOptOutKeyword({ type: 'text', text: '  Parar! ' }), 'parar');
+    assert.strictEqual(app.getOptOutKeyword({ type: 'text', text: 'não quero sair da promoção' }), null);
+    assert.strictEqual(app.getOptOutKeyword({ type: 'buttons_response', selected_text: 'Stop' }), 'stop');
+    assert.strictEqual(app.getOptOutKeyword({ type: 'image', caption: '' }), null);
+});
+
+test('supressão encerra a conversa, libera a instância e bloqueia novas conversas', () => {
+    const conversation = app.createConversation('5511977770003', 'Gil');
+    const before = activeConversations();
+    
+    const entry = app.suppressPhone('5511977770003', { reason: 'opt_out', source: 'whatsapp', keyword: 'sair' });
+    assert.strictEqual(entry.keyword, 'sair');
+    assert.strictEqual(conversation.status, 'opted_out');
+    assert.strictEqual(activeConversations(), before - 1);
+    
+    assert.throws(() => app.createConversation('5511977770003', 'Gil'), /lista de supressão/);
+    assert.strictEqual(app.transitionConversation(conversation, 'converted').success, false);
+});
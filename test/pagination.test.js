@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+const { paginate, encodeCursor, decodeCursor, parseListQuery } = require('../index.js');
+
+// Dois itens com o mesmo valor de ordenação: o id desempata
+const items = [
+    { id: 'a', at: 1 },
+    { id: 'b', at: 3 },
+    { id: 'c', at: 2 },
+    { id: 'd', at: 3 },
+    { id: 'e', at: 5 }
+];
+const options = { sortValue: item => item.at, idOf: item => item.id };
+
+function allPages(list, extra) {
+    const ids = [];
+    let cursor = null;
+    do {
+        const page = paginate(list, { ...options, ...extra, cursor });
+        ids.push(...page.items.map(item => item.id));
+        cursor = page.next_cursor && decodeCursor(page.next_cursor);
+    } while (cursor);
+    return ids;
+}
+
+test('cursor codifica valor e id e volta igual', () => {
+    assert.deepStrictEqual(decodeCursor(encodeCursor('2026-10-19T12:00:00.000Z', '5511987654321')), {
+        value: '2026-10-19T12:00:00.000Z',
+        id: '5511987654321'
+    });
+    assert.strictEqual(decodeCursor('não é um cursor'), null);
+});
+
+test('páginas em ordem decrescente, desempate pelo id, sem repetir nem pular', () => {
+    const first = paginate(items, { ...options, limit: 2 });
+    assert.strictEqual(first.total, 5);
+    assert.deepStrictEqual(first.items.map(item => item.id), ['e', 'd']);
+    assert.ok(first.next_cursor);
+    
+    assert.deepStrictEqual(allPages(items, { limit: 2 }), ['e', 'd', 'b', 'c', 'a']);
+    assert.deepStrictEqual(allPages(items, { limit: 2, order: 'asc' }), ['a', 'c', 'b', 'd', 'e']);
+});
+
+test('última página não devolve cursor', () => {
+    assert.strictEqual(paginate(items, { ...options, limit: 5 }).next_cursor, null);
+    assert.strictEqual(paginate([], options).next_cursor, null);
+});
+
+test('itens novos não deslocam as páginas seguintes', () => {
+    const first = paginate(items, { ...options, limit: 2 });
+    const withNewer = items.concat({ id: 'f', at: 9 });
+    
+    const second = paginate(withNewer, { ...options, limit: 2, cursor: decodeCursor(first.next_cursor) });
+    assert.deepStrictEqual(second.items.map(item => item.id), ['b', 'c']);
+});
+
+test('parseListQuery valida e aplica os padrões', () => {
+    const defaults = parseListQuery({});
+    assert.strictEqual(defaults.limit, 50);
+    assert.strictEqual(defaults.order, 'desc');
+    assert.strictEqual(defaults.cursor, null);
+    
+    assert.strictEqual(parseListQuery({ limit: '1000' }).limit, 200);
+    assert.strictEqual(parseListQuery({ limit: '0' }).limit, 50);
+    assert.strictEqual(parseListQuery({ q: 'PIX' }).search, 'pix');
+    assert.deepStrictEqual(parseListQuery({ from: '1760000000000' }).from, new Date(1760000000000));
+    
+    assert.deepStrictEqual(parseListQuery({ cursor: 'xyz' }), { error: 'cursor inválido' });
+    assert.deepStrictEqual(parseListQuery({ order: 'up' }), { error: 'order deve ser asc ou desc' });
+    assert.deepStrictEqual(parseListQuery({ to: 'ontem' }), { error: 'from/to devem ser datas ISO ou timestamps' });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+const { normalizePhone } = require('../index.js');
+
+test('formatos nacionais viram E.164 com o DDI padrão', () => {
+    assert.strictEqual(normalizePhone('11987654321'), '5511987654321');
+    assert.strictEqual(normalizePhone('(11) 98765-4321'), '5511987654321');
+    assert.strictEqual(normalizePhone('011 98765-4321'), '5511987654321');
+});
+
+test('número que já começa pelo DDI 55 não ganha outro', () => {
+    assert.strictEqual(normalizePhone('5511987654321'), '5511987654321');
+    assert.strictEqual(normalizePhone('551133334444'), '551133334444');
+});
+
+test('DDD 55 sem DDI é número nacional (tamanho decide)', () => {
+    assert.strictEqual(normalizePhone('55991234567'), '5555991234567');
+    assert.strictEqual(normalizePhone('5532221234'), '555532221234');
+});
+
+test('celular antigo sem o nono dígito ganha o 9', () => {
+    assert.strictEqual(normalizePhone('1187654321'), '5511987654321');
+    assert.strictEqual(normalizePhone('551187654321'), '5511987654321');
+    assert.strictEqual(normalizePhone('1133334444'), '551133334444');
+});
+
+test('formatos internacionais mantêm o DDI informado', () => {
+    assert.strictEqual(normalizePhone('+55 (11) 98765-4321'), '5511987654321');
+    assert.strictEqual(normalizePhone('+1 415 555 2671'), '14155552671');
+    assert.strictEqual(normalizePhone('00351 912 345 678'), '351912345678');
+});
+
+test('JIDs do WhatsApp viram o número, sem o sufixo de dispositivo', () => {
+    assert.strictEqual(normalizePhone('5511987654321@s.whatsapp.net'), '5511987654321');
+    assert.strictEqual(normalizePhone('5511987654321:12@s.whatsapp.net'), '5511987654321');
+});
+
+test('entradas inválidas viram null', () => {
+    assert.strictEqual(normalizePhone(null), null);
+    assert.strictEqual(normalizePhone(undefined), null);
+    assert.strictEqual(normalizePhone(''), null);
+    assert.strictEqual(normalizePhone('abc'), null);
+    assert.strictEqual(normalizePhone('+12345'), null);
+    assert.strictEqual(normalizePhone('+1234567890123456'), null);
+});
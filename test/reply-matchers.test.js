@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+const { REPLY_MATCHERS, matchCheckpointReply } = require('../index.js');
+
+const yesNo = (text) => REPLY_MATCHERS.yes_no(text);
+
+test('yes_no reconhece respostas simples', () => {
+    assert.strictEqual(yesNo('Sim'), 'yes');
+    assert.strictEqual(yesNo('claro!'), 'yes');
+    assert.strictEqual(yesNo('Não'), 'no');
+    assert.strictEqual(yesNo('nunca'), 'no');
+    assert.strictEqual(yesNo('talvez'), null);
+});
+
+test('yes_no: negativas têm prioridade sobre palavras positivas', () => {
+    assert.strictEqual(yesNo('não quero'), 'no');
+    assert.strictEqual(yesNo('sim... quer dizer, não'), 'no');
+});
+
+test('yes_no: "no" e "nem" não tornam a resposta negativa', () => {
+    assert.strictEqual(yesNo('sim, pago no pix'), 'yes');
+    assert.strictEqual(yesNo('quero, pode ser no sábado'), 'yes');
+    assert.strictEqual(yesNo('sim, nem precisa ligar'), 'yes');
+    assert.strictEqual(yesNo('ok no boleto'), 'yes');
+});
+
+test('yes_no: "yes" e "no" em inglês só valem como resposta inteira', () => {
+    assert.strictEqual(yesNo('Yes'), 'yes');
+    assert.strictEqual(yesNo('No!'), 'no');
+    assert.strictEqual(yesNo('yes please'), null);
+    assert.strictEqual(yesNo('pode ser no pix'), 'yes');
+});
+
+test('matchCheckpointReply aplica yes_no às mensagens do webhook', () => {
+    const rules = { accept: [{ type: 'yes_no' }] };
+    assert.deepStrictEqual(
+        matchCheckpointReply(rules, { type: 'text', text: 'Sim, pago no pix' }),
+        { valid: true, rule: 'yes_no', matched: 'yes' }
+    );
+    assert.deepStrictEqual(matchCheckpointReply(rules, { type: 'text', text: 'no aguardo' }), { valid: false });
+});
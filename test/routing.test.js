@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+process.env.ROUTING_STRATEGY = 'weighted_round_robin';
+const app = require('../index.js');
+
+const pickedNames = (count, filter) => Array.from({ length: count }, () => app.pickInstance(null, filter).instance.name);
+const countOf = (names, name) => names.filter(n => n === name).length;
+
+// Os testes rodam em ordem e compartilham as instâncias cadastradas
+test('sem instâncias cadastradas, pickInstance falha com no_instance', () => {
+    assert.throws(() => app.pickInstance(), { code: 'no_instance', message: 'Nenhuma instância cadastrada' });
+});
+
+test('weighted_round_robin distribui na proporção dos pesos', () => {
+    app.saveInstance(app.buildInstance({ name: 'A', id: 'id-a', weight: 3 }));
+    app.saveInstance(app.buildInstance({ name: 'B', id: 'id-b', weight: 1 }));
+    
+    const names = pickedNames(8);
+    assert.strictEqual(countOf(names, 'A'), 6);
+    assert.strictEqual(countOf(names, 'B'), 2);
+    
+    const { routing } = app.pickInstance();
+    assert.strictEqual(routing.strategy, 'weighted_round_robin');
+    assert.match(routing.reason, /de 4$/);
+});
+
+test('least_active escolhe a instância com menos conversas ativas', () => {
+    const a = app.pickInstance(null, i => i.name === 'A').instance;
+    const b = app.pickInstance(null, i => i.name === 'B').instance;
+    app.assignInstance(a);
+    app.assignInstance(a);
+    app.assignInstance(b);
+    
+    assert.strictEqual(app.ROUTING_STRATEGIES.least_active([a, b]).instance.name, 'B');
+});
+
+test('instância no teto diário sai da rotação', () => {
+    const c = app.buildInstance({ name: 'C', id: 'id-c', daily_cap: 1 });
+    app.saveInstance(c);
+    assert.doesNotMatch(app.pickInstance(null, i => i.name === 'C').routing.reason, /^teto/);
+    
+    app.assignInstance(c);
+    assert.strictEqual(countOf(pickedNames(12), 'C'), 0);
+});
+
+test('com todas as candidatas no teto, excede o teto em vez de perder o lead', () => {
+    const { instance, routing } = app.pickInstance(null, i => i.name === 'C');
+    
+    assert.strictEqual(instance.name, 'C');
+    assert.match(routing.reason, /^teto diário atingido em todas: /);
+});
+
+test('inativas e em drenagem nunca recebem, nem acima do teto', () => {
+    const onlyA = i => i.name === 'A';
+    const a = app.pickInstance(null, onlyA).instance;
+    
+    a.active = false;
+    assert.throws(() => app.pickInstance(null, onlyA), {
+        code: 'no_instance',
+        message: 'Nenhuma instância ativa, conectada e desbloqueada'
+    });
+    
+    a.active = true;
+    a.draining = true;
+    assert.throws(() => app.pickInstance(null, onlyA), { code: 'no_instance' });
+    assert.ok(!pickedNames(8).includes('A'));
+    
+    a.draining = false;
+});
+
+test('excludeName tira a instância de origem da escolha', () => {
+    const names = Array.from({ length: 8 }, () => app.pickInstance('A').instance.name);
+    assert.ok(!names.includes('A'));
+});
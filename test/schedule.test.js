@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.STORAGE_DRIVER = 'memory';
+// Horário padrão: seg-sex 08:00-18:00, sáb 08:00-12:00; 19/10/2026 (segunda) é feriado
+process.env.HOLIDAYS = '2026-10-19';
+const { addBusinessMinutes, getCheckpointExpiry } = require('../index.js');
+
+// Horários em Brasília (UTC-3)
+const brt = (local) => new Date(`${local}-03:00`);
+
+test('minutos dentro do expediente somam direto', () => {
+    assert.deepStrictEqual(addBusinessMinutes(brt('2026-10-14T10:00:00'), 90), brt('2026-10-14T11:30:00'));
+});
+
+test('antes da abertura, a contagem começa às 08:00', () => {
+    assert.deepStrictEqual(addBusinessMinutes(brt('2026-10-13T06:00:00'), 10), brt('2026-10-13T08:10:00'));
+});
+
+test('o que sobra no fechamento continua no próximo dia útil', () => {
+    assert.deepStrictEqual(addBusinessMinutes(brt('2026-10-16T17:30:00'), 60), brt('2026-10-17T08:30:00'));
+});
+
+test('sábado curto, domingo fechado e feriado são pulados', () => {
+    assert.deepStrictEqual(addBusinessMinutes(brt('2026-10-17T11:45:00'), 30), brt('2026-10-20T08:15:00'));
+});
+
+test('timeouts longos atravessam vários expedientes', () => {
+    // 18h úteis: 10h na terça (08-18) e 8h na quarta
+    assert.deepStrictEqual(addBusinessMinutes(brt('2026-10-20T08:00:00'), 18 * 60), brt('2026-10-21T16:00:00'));
+});
+
+test('getCheckpointExpiry só usa horário comercial quando pedido', () => {
+    const activatedAt = brt('2026-10-16T17:30:00');
+    
+    assert.deepStrictEqual(getCheckpointExpiry(activatedAt, 60, false), brt('2026-10-16T18:30:00'));
+    assert.deepStrictEqual(getCheckpointExpiry(activatedAt, 60, true), brt('2026-10-17T08:30:00'));
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+
+// Evolution API falsa: grava cada chamada e rejeita o texto "fail" com 400
+const requests = [];
+const evolution = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+        const body = raw ? JSON.parse(raw) : null;
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body });
+        
+        res.setHeader('Content-Type', 'application/json');
+        if (body && body.text === 'fail') {
+            res.statusCode = 400;
+            return res.end(JSON.stringify({ status: 400, error: 'Bad Request', response: { message: ['número inválido'] } }));
+        }
+        res.statusCode = 201;
+        res.end(JSON.stringify({ key: { id: `MSG${requests.length}` }, status: 'PENDING' }));
+    });
+});
+
+let app;
+
+test.before(async () => {
+    await new Promise(resolve => evolution.listen(0, '127.0.0.1', resolve));
+    process.env.EVOLUTION_API_URL = `http://127.0.0.1:${evolution.address().port}`;
+    process.env.EVOLUTION_API_KEY = 'chave-teste';
+    process.env.STORAGE_DRIVER = 'memory';
+    app = require('../index.js');
+    await app.loadPersistedState();
+});
+
+test.after(() => {
+    evolution.close();
+});
+
+test.beforeEach(() => {
+    requests.length = 0;
+});
+
+test('texto vai para /message/sendText/:instance e fica no histórico', async () => {
+    const conversation = app.createConversation('5511988880001', 'Ana');
+    
+    const result = await app.sendMessage('5511988880001', { type: 'text', text: 'Olá, Ana!' });
+    
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.message_id, 'MSG1');
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].url, `/message/sendText/${encodeURIComponent(conversation.instance)}`);
+    assert.strictEqual(requests[0].headers.apikey, 'chave-teste');
+    assert.deepStrictEqual(requests[0].body, { number: '5511988880001', text: 'Olá, Ana!' });
+    
+    const { messages } = app.getMessagesPage('5511988880001', 10);
+    assert.strictEqual(messages.length, 1);
+    assert.strictEqual(messages[0].id, 'MSG1');
+    assert.strictEqual(messages[0].direction, 'outbound');
+    assert.strictEqual(messages[0].text, 'Olá, Ana!');
+    assert.strictEqual(messages[0].instance, conversation.instance);
+});
+
+test('imagem vai para /message/sendMedia com mediatype e legenda', async () => {
+    app.createConversation('5511988880002', 'Bruno');
+    
+    const result = await app.sendMessage('5511988880002', {
+        type: 'image',
+        url: 'https://exemplo.com/foto.jpg',
+        caption: 'Catálogo',
+        mimetype: 'image/jpeg'
+    });
+    
+    assert.strictEqual(result.success, true);
+    assert.match(requests[0].url, /^\/message\/sendMedia\//);
+    assert.deepStrictEqual(requests[0].body, {
+        number: '5511988880002',
+        mediatype: 'image',
+        media: 'https://exemplo.com/foto.jpg',
+        caption: 'Catálogo',
+        mimetype: 'image/jpeg'
+    });
+    
+    const { messages } = app.getMessagesPage('5511988880002', 10);
+    assert.strictEqual(messages[0].type, 'image');
+    assert.strictEqual(messages[0].text, 'Catálogo');
+    assert.deepStrictEqual(messages[0].media, { url: 'https://exemplo.com/foto.jpg', mimetype: 'image/jpeg', filename: null });
+});
+
+test('erro 4xx da Evolution vira erro estruturado e não entra no histórico', async () => {
+    app.createConversation('5511988880003', 'Carla');
+    
+    const result = await app.sendMessage('5511988880003', { type: 'text', text: 'fail' });
+    
+    assert.deepStrictEqual(result, {
+        success: false,
+        status: 502,
+        error: 'Falha ao enviar mensagem pela Evolution API',
+        evolution_status: 400,
+        details: { status: 400, error: 'Bad Request', response: { message: ['número inválido'] } }
+    });
+    assert.strictEqual(app.getMessagesPage('5511988880003', 10).total, 0);
+});
+
+test('payload inválido é recusado sem chamar a Evolution', async () => {
+    app.createConversation('5511988880004', 'Davi');
+    
+    const result = await app.sendMessage('5511988880004', { type: 'image' });
+    
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(requests.length, 0);
+});
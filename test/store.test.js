@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Store em arquivo num diretório temporário: o teste grava o estado "antigo" e o app o restaura
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cerebro-store-'));
+const storeFile = path.join(dir, 'store.json');
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = storeFile;
+
+const app = require('../index.js');
+
+test.after(async () => {
+    // Espera a gravação agrupada do store antes de apagar o diretório
+    await new Promise(resolve => setTimeout(resolve, 500));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('store em arquivo devolve o que foi gravado, com o histórico em .jsonl', async () => {
+    const file = path.join(dir, 'roundtrip', 'store.json');
+    const store = app.createFileStore(file, ['messages']);
+    await store.load();
+    
+    store.set('conversations', '5511988887777', { phone: '5511988887777', status: 'active' });
+    store.set('meta', 'counters', { totalLeadsProcessed: 3 });
+    store.delete('meta', 'counters');
+    store.append('messages', '5511988887777', { seq: 1, text: 'oi' }, 10);
+    store.append('messages', '5511988887777', { seq: 2, text: 'tudo bem?' }, 10);
+    await store.flush();
+    
+    assert.ok(fs.existsSync(path.join(dir, 'roundtrip', 'messages', '5511988887777.jsonl')));
+    
+    const snapshot = await app.createFileStore(file, ['messages']).load();
+    assert.deepStrictEqual(snapshot.conversations, { '5511988887777': { phone: '5511988887777', status: 'active' } });
+    assert.deepStrictEqual(snapshot.meta, {});
+    assert.deepStrictEqual(snapshot.messages['5511988887777'].map(m => m.text), ['oi', 'tudo bem?']);
+});
+
+test('store em arquivo migra histórico antigo do JSON principal para .jsonl', async () => {
+    const file = path.join(dir, 'legacy', 'store.json');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ messages: { '5511988886666': [{ seq: 1, text: 'antigo' }] } }));
+    
+    const store = app.createFileStore(file, ['messages']);
+    const snapshot = await store.load();
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await store.flush();
+    
+    assert.deepStrictEqual(snapshot.messages['5511988886666'], [{ seq: 1, text: 'antigo' }]);
+    assert.ok(fs.existsSync(path.join(dir, 'legacy', 'messages', '5511988886666.jsonl')));
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).messages, undefined);
+});
+
+test('reviveConversation converte datas e migra conversas gravadas antes do ciclo de vida', () => {
+    const conversation = app.reviveConversation({
+        phone: '5511988885555',
+        status: 'active',
+        waiting_response: true,
+        created_at: '2026-01-10T12:00:00.000Z',
+        last_activity: '2026-01-10T12:05:00.000Z',
+        checkpoint_activated_at: '2026-01-10T12:01:00.000Z',
+        checkpoints: [{ name: 'boas_vindas', passed_at: '2026-01-10T12:02:00.000Z' }],
+        flow: { id: 'vendas', version: 1, started_at: '2026-01-10T12:00:00.000Z', completed_at: null }
+    });
+    
+    assert.strictEqual(conversation.status, 'waiting');
+    assert.strictEqual(conversation.instance_released, false);
+    assert.ok(conversation.created_at instanceof Date);
+    assert.strictEqual(conversation.last_activity.toISOString(), '2026-01-10T12:05:00.000Z');
+    assert.ok(conversation.checkpoints[0].passed_at instanceof Date);
+    assert.ok(conversation.flow.started_at instanceof Date);
+    assert.strictEqual(conversation.flow.completed_at, null);
+});
+
+test('reviveConversation: conversa antiga fechada já tinha liberado a instância', () => {
+    assert.strictEqual(app.reviveConversation({ status: 'closed' }).instance_released, true);
+    assert.strictEqual(app.reviveConversation({ status: 'converted' }).instance_released, false);
+    assert.strictEqual(app.reviveConversation({ status: 'lost', instance_released: true }).instance_released, true);
+});
+
+test('loadPersistedState restaura histórico e dedup ainda válido', async () => {
+    const seed = app.createFileStore(storeFile, ['messages']);
+    await seed.load();
+    seed.set('conversations', '5511988884444', {
+        phone: '5511988884444',
+        instance: 'G08',
+        status: 'active',
+        created_at: '2026-01-10T12:00:00.000Z',
+        last_activity: '2026-01-10T12:00:00.000Z'
+    });
+    seed.append('messages', '5511988884444', { seq: 1, direction: 'inbound', text: 'quero saber o preço' });
+    seed.set('processedMessages', 'G08:VALIDA', Date.now() + 60 * 1000);
+    seed.set('processedMessages', 'G08:EXPIRADA', Date.now() - 1000);
+    await seed.flush();
+    
+    await app.loadPersistedState();
+    
+    assert.strictEqual(app.getMessagesPage('5511988884444', 10).messages[0].text, 'quero saber o preço');
+    assert.strictEqual(app.checkAndMarkMessage('G08:VALIDA'), true);
+    assert.strictEqual(app.checkAndMarkMessage('G08:EXPIRADA'), false);
+});
+
+test('dedup: chave por instância + key.id e segunda entrega marcada como duplicada', () => {
+    const webhook = { instance: 'G08', data: { key: { id: 'ABC123' } } };
+    
+    assert.strictEqual(app.getMessageDedupKey(webhook), 'G08:ABC123');
+    assert.strictEqual(app.getMessageDedupKey({ data: { key: { id: 'ABC123' } } }), 'default:ABC123');
+    assert.strictEqual(app.getMessageDedupKey({ instance: 'G08', data: {} }), null);
+    
+    assert.strictEqual(app.checkAndMarkMessage('G08:ABC123'), false);
+    assert.strictEqual(app.checkAndMarkMessage('G08:ABC123'), true);
+    assert.strictEqual(app.checkAndMarkMessage('G09:ABC123'), false);
+});